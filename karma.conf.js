@@ -1,6 +1,9 @@
 // Karma configuration
 // Generated on Sat Jul 16 2016 17:13:56 GMT-0400 (EDT)
 
+// the install of Vue the specs get when importing 'vue' (like: VUE=vue2 karma start, see the test-vue* scripts in package.json)
+var vue = process.env.VUE || 'vue';
+
 module.exports = function(config) {
   config.set({
 
@@ -36,7 +39,12 @@ module.exports = function(config) {
 
     browserify: {
         debug: true, // debug=true to generate source maps
-        transform: [ ['babelify', {presets: ["es2015"]}], 'vueify' ],
+        transform: [ ['babelify', {presets: ["es2015"]}] ],
+        configure: function(bundle) {
+            bundle.on('prebundle', function() {
+                bundle.require(vue, { expose: 'vue' });
+            });
+        },
     },
 
 
@@ -46,11 +54,9 @@ module.exports = function(config) {
     reporters: ['dots', 'clear-screen'],
 
     plugins: [
-        'phantomjs',
         'karma-browserify',
         'karma-jasmine',
         'karma-chrome-launcher',
-        'karma-phantomjs-launcher',
         'karma-clear-screen-reporter',
     ],
 
@@ -74,8 +80,9 @@ module.exports = function(config) {
 
     // start these browsers
     // available browser launchers: https://npmjs.org/browse/keyword/karma-launcher
+    // Vue 3 needs Proxy, which PhantomJS doesn't have
     browsers: [
-        'PhantomJS',
+        'ChromeHeadless',
     ],
 
 
@@ -0,0 +1,5360 @@
+/**
+ * The validation engine behind the Validator mixin
+ *
+ * Everything here works on plain objects, so the same rules can be run in Node or a web worker
+ *
+ * https://github.com/dargue3/laravel-like-vue-validator
+ */
+
+import { letters, numbers } from './unicode.js';
+
+// rules added with extend(), available to every component and engine
+var customRules = {};
+
+// fallback error messages for the custom rules above
+var customMessages = {};
+
+// default error messages for each rule, keyed by locale
+// rules whose message depends on the type of the value are split into numeric, string and array
+var locales = {
+	en: {
+		default: 			'The :attribute is invalid.',
+		required: 		'The :attribute field is required.',
+		max: {
+			numeric: 		'The :attribute may not be greater than :max.',
+			string: 		'The :attribute may not be greater than :max characters.',
+			array: 			'The :attribute may not have more than :max items.',
+			file: 			'The :attribute may not be greater than :max kilobytes.',
+		},
+		min: {
+			numeric: 		'The :attribute must be at least :min.',
+			string: 		'The :attribute must be at least :min characters.',
+			array: 			'The :attribute must have at least :min items.',
+			file: 			'The :attribute must be at least :min kilobytes.',
+		},
+		size: {
+			numeric: 		'The :attribute must be :size.',
+			string: 		'The :attribute must be :size characters.',
+			array: 			'The :attribute must contain :size items.',
+			file: 			'The :attribute must be :size kilobytes.',
+		},
+		equals: 			'The :attribute must be :equals.',
+		in: 					'The selected :attribute is invalid.',
+		boolean: 			'The :attribute field must be true or false.',
+		string: 			'The :attribute must be a string.',
+		number: 			'The :attribute must be a number.',
+		array: 				'The :attribute must be an array.',
+		regex: 				'The :attribute format is invalid.',
+		alpha_num: 		'The :attribute may only contain letters and numbers.',
+		alpha_dash: 	'The :attribute may only contain letters, numbers, dashes and underscores.',
+		email: 				'The :attribute must be a valid email address.',
+		alpha: 				'The :attribute may only contain letters.',
+		ascii: 				'The :attribute may only contain ASCII characters.',
+		lowercase: 		'The :attribute must be lowercase.',
+		uppercase: 		'The :attribute must be uppercase.',
+		not_regex: 		'The :attribute format is invalid.',
+		starts_with: 	'The :attribute must start with one of the following: :values.',
+		ends_with: 		'The :attribute must end with one of the following: :values.',
+		doesnt_start_with: 	'The :attribute may not start with one of the following: :values.',
+		doesnt_end_with: 		'The :attribute may not end with one of the following: :values.',
+		url: 					'The :attribute must be a valid URL.',
+		ip: 					'The :attribute must be a valid IP address.',
+		ipv4: 				'The :attribute must be a valid IPv4 address.',
+		ipv6: 				'The :attribute must be a valid IPv6 address.',
+		mac_address: 	'The :attribute must be a valid MAC address.',
+		uuid: 				'The :attribute must be a valid UUID.',
+		ulid: 				'The :attribute must be a valid ULID.',
+		json: 				'The :attribute must be a valid JSON string.',
+		file: 				'The :attribute must be a file.',
+		image: 				'The :attribute must be an image.',
+		mimes: 				'The :attribute must be a file of type: :values.',
+		mimetypes: 		'The :attribute must be a file of type: :values.',
+		max_kb: 			'The :attribute may not be greater than :max_kb kilobytes.',
+		min_kb: 			'The :attribute must be at least :min_kb kilobytes.',
+		dimensions: 	'The :attribute has invalid image dimensions.',
+		same: 				'The :attribute and :other must match.',
+		different: 		'The :attribute and :other must be different.',
+		confirmed: 		'The :attribute confirmation does not match.',
+		required_if: 			'The :attribute field is required when :other is :value.',
+		required_unless: 	'The :attribute field is required unless :other is in :values.',
+		required_with: 		'The :attribute field is required when :values is present.',
+		required_without: 'The :attribute field is required when :values is not present.',
+		distinct: 		'The :attribute field has a duplicate value.',
+		array_min: 		'The :attribute must have at least :array_min items.',
+		array_max: 		'The :attribute may not have more than :array_max items.',
+		array_size: 	'The :attribute must contain :array_size items.',
+		numeric: 			'The :attribute must be a number.',
+		integer: 			'The :attribute must be an integer.',
+		between: {
+			numeric: 		'The :attribute must be between :min and :max.',
+			string: 		'The :attribute must be between :min and :max characters.',
+			array: 			'The :attribute must have between :min and :max items.',
+			file: 			'The :attribute must be between :min and :max kilobytes.',
+		},
+		digits: 			'The :attribute must be :digits digits.',
+		digits_between: 	'The :attribute must be between :min and :max digits.',
+		decimal: 			'The :attribute must have :decimal decimal places.',
+		multiple_of: 	'The :attribute must be a multiple of :multiple_of.',
+		gt: {
+			numeric: 		'The :attribute must be greater than :value.',
+			string: 		'The :attribute must be greater than :value characters.',
+			array: 			'The :attribute must have more than :value items.',
+			file: 			'The :attribute must be greater than :value kilobytes.',
+		},
+		gte: {
+			numeric: 		'The :attribute must be greater than or equal to :value.',
+			string: 		'The :attribute must be greater than or equal to :value characters.',
+			array: 			'The :attribute must have :value items or more.',
+			file: 			'The :attribute must be greater than or equal to :value kilobytes.',
+		},
+		lt: {
+			numeric: 		'The :attribute must be less than :value.',
+			string: 		'The :attribute must be less than :value characters.',
+			array: 			'The :attribute must have less than :value items.',
+			file: 			'The :attribute must be less than :value kilobytes.',
+		},
+		lte: {
+			numeric: 		'The :attribute must be less than or equal to :value.',
+			string: 		'The :attribute must be less than or equal to :value characters.',
+			array: 			'The :attribute must not have more than :value items.',
+			file: 			'The :attribute must be less than or equal to :value kilobytes.',
+		},
+		date: 				'The :attribute is not a valid date.',
+		date_format: 	'The :attribute does not match the format :format.',
+		before: 			'The :attribute must be a date before :date.',
+		after: 				'The :attribute must be a date after :date.',
+		before_or_equal: 	'The :attribute must be a date before or equal to :date.',
+		after_or_equal: 	'The :attribute must be a date after or equal to :date.',
+		date_between: 		'The :attribute must be a date between :start and :end.',
+	},
+};
+
+// rules that apply to a whole array registered with a wildcard, rather than each of its items
+var collectionRules = ['distinct', 'array_min', 'array_max', 'array_size'];
+
+// rules that change how the other rules run instead of checking the value themselves
+var modifierRules = ['bail', 'nullable', 'sometimes'];
+
+// rules that still run on a 'nullable' field that is null
+var implicitRules = ['required', 'required_if', 'required_unless', 'required_with', 'required_without'];
+
+// rules that compare the field against other dates, keywords or fields
+var dateRules = ['before', 'after', 'before_or_equal', 'after_or_equal', 'date_between'];
+
+// rules that compare the size of the field against a number or another field
+var comparisonRules = ['gt', 'gte', 'lt', 'lte'];
+
+// rules whose arguments are kept as strings, even when they look like numbers (like: starts_with:007)
+var stringArgRules = ['starts_with', 'ends_with', 'doesnt_start_with', 'doesnt_end_with', 'url'];
+
+// the locale new components and engines start out with
+var activeLocale = 'en';
+
+
+/**
+ * Whether or not an entry in a list of rules was made by when()
+ *
+ * @param {mixed} rule
+ * @return {boolean}
+ */
+function isCondition(rule)
+{
+	return rule !== null && typeof rule === 'object' && ! (rule instanceof RegExp) && 'when' in rule && 'rules' in rule;
+}
+
+
+/**
+ * Wrap a custom rule so it can be called like the built-in ones
+ *
+ * @param {function} fn  Called with (value, args) and bound to the component
+ * @return {function}
+ */
+function wrapRule(fn)
+{
+	return function(args) { return fn.call(this, this.validator_.value, args) };
+}
+
+
+/**
+ * Fetch the value at a path off of an object, indices included
+ *
+ * @param {object} target  Usually the component
+ * @param {string} path  (like: users.1.email)
+ * @return {mixed} undefined if the path doesn't exist
+ */
+function getPath(target, path)
+{
+	var keys = path.split('.');
+
+	for (var x = 0; x < keys.length; x++) {
+		if (target === null || typeof target !== 'object') {
+			return undefined;
+		}
+
+		target = target[keys[x]];
+	}
+
+	return target;
+}
+
+
+/**
+ * Set a value at a path off of a plain (non-reactive) object, creating any objects missing along the way
+ *
+ * @param {object} target
+ * @param {string} path  (like: name.firstname)
+ * @param {mixed} value
+ * @return {object} The target
+ */
+function buildPath(target, path, value)
+{
+	if (! path.length) {
+		return target;
+	}
+
+	var keys = path.split('.');
+	var object = target;
+
+	for (var x = 0; x < keys.length - 1; x++) {
+		if (object[keys[x]] === null || typeof object[keys[x]] !== 'object') {
+			object[keys[x]] = {};
+		}
+
+		object = object[keys[x]];
+	}
+
+	object[keys[keys.length - 1]] = value;
+
+	return target;
+}
+
+
+/**
+ * Whether or not a field falls under a path, which can use '*' for any single key
+ *
+ * @param {string} pattern  (like: users.*.email or users)
+ * @param {string} field  (like: users.1.email)
+ * @return {boolean}
+ */
+function fieldMatches(pattern, field)
+{
+	var wanted = pattern.split('.');
+	var keys = field.split('.');
+
+	if (wanted.length > keys.length) {
+		return false;
+	}
+
+	for (var x = 0; x < wanted.length; x++) {
+		if (wanted[x] !== '*' && wanted[x] !== keys[x]) {
+			return false;
+		}
+	}
+
+	return true;
+}
+
+
+/**
+ * The keys that a '*' can stand for in a value, the indices of an array or the keys of an object map
+ *
+ * @param {mixed} target
+ * @return {array}  (like: ['0', '1', '2'] or ['sku-1', 'sku-2'])
+ */
+function keysOf(target)
+{
+	if (target === null || typeof target !== 'object') {
+		return [];
+	}
+
+	if (isFileList(target)) {
+		return Object.keys(Array.prototype.slice.call(target));
+	}
+
+	return Object.keys(target);
+}
+
+
+/**
+ * Whether or not a value is a list of items, an array or the FileList of a file input, rather than an object map
+ *
+ * @param {mixed} value
+ * @return {boolean}
+ */
+function isList(value)
+{
+	return Array.isArray(value) || isFileList(value);
+}
+
+
+/**
+ * Fill in every '*' in a path with the keys that exist in a value
+ *
+ * @param {mixed} target
+ * @param {string} path  (like: lines.*.sku)
+ * @return {array} (like: ['lines.0.sku', 'lines.1.sku'])
+ */
+function expandPath(target, path)
+{
+	var keys = path.split('.');
+	var star = keys.indexOf('*');
+
+	if (star === -1) {
+		return [path];
+	}
+
+	var prefix = keys.slice(0, star);
+	var rest = keys.slice(star + 1).join('.');
+	var container = prefix.length ? getPath(target, prefix.join('.')) : target;
+	var indices = keysOf(container);
+	var paths = [];
+
+	for (var x = 0; x < indices.length; x++) {
+		var head = prefix.concat(indices[x]).join('.');
+
+		if (! rest.length) {
+			paths.push(head);
+			continue;
+		}
+
+		var tails = expandPath(container[indices[x]], rest);
+		for (var y = 0; y < tails.length; y++) {
+			paths.push(head + '.' + tails[y]);
+		}
+	}
+
+	return paths;
+}
+
+
+/**
+ * Whether or not a path could point at the same fields as a registered one,
+ * where a '*' in either stands for any key
+ *
+ * @param {string} path  (like: lines.2 or lines.*)
+ * @param {string} registered  (like: lines.*.sku)
+ * @return {boolean}
+ */
+function pathsOverlap(path, registered)
+{
+	var wanted = path.split('.');
+	var keys = registered.split('.');
+
+	if (wanted.length > keys.length) {
+		return false;
+	}
+
+	for (var x = 0; x < wanted.length; x++) {
+		if (wanted[x] !== keys[x] && wanted[x] !== '*' && keys[x] !== '*') {
+			return false;
+		}
+	}
+
+	return true;
+}
+
+
+/**
+ * Build empty error messages for a path, shaped like the value they belong to
+ *
+ * @param {mixed} value
+ * @param {string} path  (like: lines.*.sku)
+ * @return {object | array | string}  (like: { lines: [{ sku: '' }, { sku: '' }] })
+ */
+function blankErrors(value, path)
+{
+	if (! path.length) {
+		return '';
+	}
+
+	var keys = path.split('.');
+	var rest = keys.slice(1).join('.');
+	var blank = {};
+
+	if (keys[0] === '*') {
+		blank = isList(value) ? [] : {};
+		var indices = keysOf(value);
+
+		// like an array, the keys of an object map shouldn't outlive the value (see mergeErrors())
+		Object.defineProperty(blank, 'wildcard_', { value: true });
+
+		for (var x = 0; x < indices.length; x++) {
+			blank[indices[x]] = blankErrors(value[indices[x]], rest);
+		}
+
+		return blank;
+	}
+
+	blank[keys[0]] = blankErrors(value !== null && typeof value === 'object' ? value[keys[0]] : undefined, rest);
+
+	return blank;
+}
+
+
+/**
+ * Copy existing error messages into the shape of a blank set of them (see blankErrors()),
+ * keeping any keys the blank set doesn't know about, unless it stands for a '*'
+ *
+ * @param {mixed} existing
+ * @param {object | array | string} blank
+ * @return {object | array | string}
+ */
+function mergeErrors(existing, blank)
+{
+	if (Array.isArray(blank)) {
+		return blank.map(function(entry, x) {
+			return mergeErrors(Array.isArray(existing) ? existing[x] : undefined, entry);
+		});
+	}
+
+	if (blank !== null && typeof blank === 'object') {
+		var merged = {};
+		existing = existing !== null && typeof existing === 'object' && ! Array.isArray(existing) ? existing : {};
+
+		if (! blank.wildcard_) {
+			for (var key in existing) {
+				merged[key] = existing[key];
+			}
+		}
+
+		for (var key in blank) {
+			merged[key] = mergeErrors(existing[key], blank[key]);
+		}
+
+		return merged;
+	}
+
+	return typeof existing === 'string' ? existing : blank;
+}
+
+
+/**
+ * What tells an item of an array apart from the others, so its errors can follow it around
+ *
+ * @param {mixed} item
+ * @param {string | null} trackBy  A key that identifies items (like: id)
+ * @return {mixed} undefined when the item can only be told apart by its index
+ */
+function itemIdentity(item, trackBy)
+{
+	if (item === null || typeof item !== 'object') {
+		return undefined;
+	}
+
+	return trackBy ? getPath(item, trackBy) : item;
+}
+
+
+/**
+ * Copy an object keyed by field, renaming or dropping keys along the way
+ *
+ * @param {object} object
+ * @param {function} rename  Returns the new key, or null to drop it
+ * @return {object}
+ */
+function renameKeys(object, rename)
+{
+	var renamed = {};
+
+	for (var key in object) {
+		if (rename(key) !== null) {
+			renamed[rename(key)] = object[key];
+		}
+	}
+
+	return renamed;
+}
+
+
+/**
+ * Midnight, local time, a given number of days from today
+ *
+ * @param {int} days
+ * @return {Date}
+ */
+function startOfDay(days)
+{
+	var date = new Date();
+	date.setHours(0, 0, 0, 0);
+	date.setDate(date.getDate() + days);
+
+	return date;
+}
+
+
+/**
+ * Turn a date given as a string into a Date, without leaning on Date.parse()
+ *
+ * Without a format only ISO 8601 dates are understood (like: 2024-03-01, 2024-03-01 09:30 or 2024-03-01T09:30:00Z),
+ * the ones without a time zone being in local time
+ *
+ * @param {string | Date} value
+ * @param {string} format  (like: DD/MM/YYYY, see dateFormatTokens)
+ * @return {Date | null} null if the value isn't a real date
+ */
+function parseDate(value, format = null)
+{
+	if (value instanceof Date) {
+		return isNaN(value.getTime()) ? null : value;
+	}
+
+	if (typeof value !== 'string') {
+		return null;
+	}
+
+	var parts = format === null ? isoDateParts(value) : formattedDateParts(value, format);
+
+	return parts === null ? null : makeDate(parts);
+}
+
+
+/**
+ * Pull the pieces out of an ISO 8601 date
+ *
+ * @param {string} value  (like: 2024-03-01T09:30:00+02:00)
+ * @return {object | null} { year, month, day, hour, minute, second, millisecond, offset }
+ */
+function isoDateParts(value)
+{
+	var match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?(Z|[+-]\d{2}:?\d{2})?)?$/.exec(value);
+
+	if (match === null) {
+		return null;
+	}
+
+	var offset = null;
+	if (match[8] === 'Z') {
+		offset = 0;
+	}
+	else if (match[8]) {
+		// minutes ahead of UTC (like: +02:00 is 120)
+		var zone = match[8].replace(':', '');
+		offset = (zone[0] === '-' ? -1 : 1) * (Number(zone.substr(1, 2)) * 60 + Number(zone.substr(3, 2)));
+	}
+
+	return {
+		year: Number(match[1]),
+		month: Number(match[2]),
+		day: Number(match[3]),
+		hour: Number(match[4] || 0),
+		minute: Number(match[5] || 0),
+		second: Number(match[6] || 0),
+		millisecond: Number(((match[7] || '') + '00').substr(0, 3)),
+		offset: offset,
+	};
+}
+
+
+// what each piece of a date_format matches, and where it goes
+var dateFormatTokens = {
+	YYYY: 	{ pattern: '(\\d{4})', part: 'year' },
+	YY: 		{ pattern: '(\\d{2})', part: 'year', add: 2000 },
+	MM: 		{ pattern: '(\\d{2})', part: 'month' },
+	M: 			{ pattern: '(\\d{1,2})', part: 'month' },
+	DD: 		{ pattern: '(\\d{2})', part: 'day' },
+	D: 			{ pattern: '(\\d{1,2})', part: 'day' },
+	HH: 		{ pattern: '(\\d{2})', part: 'hour' },
+	H: 			{ pattern: '(\\d{1,2})', part: 'hour' },
+	hh: 		{ pattern: '(\\d{2})', part: 'hour12' },
+	h: 			{ pattern: '(\\d{1,2})', part: 'hour12' },
+	mm: 		{ pattern: '(\\d{2})', part: 'minute' },
+	ss: 		{ pattern: '(\\d{2})', part: 'second' },
+	A: 			{ pattern: '(AM|PM)', part: 'meridiem' },
+	a: 			{ pattern: '(am|pm)', part: 'meridiem' },
+};
+
+
+/**
+ * Pull the pieces out of a date written in a given format
+ *
+ * A format without a day starts at the first of the month it gives (like: MM/YYYY), one without a month at January,
+ * and anything else it leaves out is taken from today at midnight
+ *
+ * @param {string} value  (like: 01/03/2024)
+ * @param {string} format  (like: DD/MM/YYYY)
+ * @return {object | null} { year, month, day, hour, minute, second, millisecond, offset }
+ */
+function formattedDateParts(value, format)
+{
+	var tokens = [];
+	var pattern = format.replace(/YYYY|YY|MM|M|DD|D|HH|H|hh|h|mm|ss|A|a|[^YMDHhmsAa]+|[YMDHhmsAa]/g, function(piece) {
+		if (piece in dateFormatTokens) {
+			tokens.push(dateFormatTokens[piece]);
+			return dateFormatTokens[piece].pattern;
+		}
+
+		// everything else has to be there word for word
+		return piece.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+	});
+
+	var match = new RegExp('^' + pattern + '$').exec(value);
+
+	if (match === null) {
+		return null;
+	}
+
+	var today = new Date();
+	var parts = { year: today.getFullYear(), month: today.getMonth() + 1, day: today.getDate(), hour: 0, minute: 0, second: 0, millisecond: 0, offset: null };
+
+	var given = {};
+	for (var x = 0; x < tokens.length; x++) {
+		given[tokens[x].part] = true;
+	}
+
+	if (given.year) {
+		parts.month = 1;
+	}
+
+	if (given.year || given.month) {
+		parts.day = 1;
+	}
+
+	for (var x = 0; x < tokens.length; x++) {
+		var piece = match[x + 1];
+
+		if (tokens[x].part === 'meridiem') {
+			parts.meridiem = piece.toUpperCase();
+		}
+		else {
+			parts[tokens[x].part] = Number(piece) + (tokens[x].add || 0);
+		}
+	}
+
+	if ('hour12' in parts) {
+		if (parts.hour12 < 1 || parts.hour12 > 12) {
+			return null;
+		}
+
+		parts.hour = parts.hour12 % 12 + (parts.meridiem === 'PM' ? 12 : 0);
+	}
+
+	return parts;
+}
+
+
+/**
+ * Build a Date out of its pieces, as long as each of them is in range
+ *
+ * @param {object} parts  { year, month, day, hour, minute, second, millisecond, offset }
+ * @return {Date | null}
+ */
+function makeDate(parts)
+{
+	var leap = (parts.year % 4 === 0 && parts.year % 100 !== 0) || parts.year % 400 === 0;
+	var days = [31, leap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+	if (parts.month < 1 || parts.month > 12 || parts.day < 1 || parts.day > days[parts.month - 1]) {
+		return null;
+	}
+
+	if (parts.hour > 23 || parts.minute > 59 || parts.second > 59) {
+		return null;
+	}
+
+	var date = new Date(0);
+
+	if (parts.offset === null) {
+		date.setFullYear(parts.year, parts.month - 1, parts.day);
+		date.setHours(parts.hour, parts.minute, parts.second, parts.millisecond);
+	}
+	else {
+		date.setUTCFullYear(parts.year, parts.month - 1, parts.day);
+		date.setUTCHours(parts.hour, parts.minute - parts.offset, parts.second, parts.millisecond);
+	}
+
+	return date;
+}
+
+
+/**
+ * Whether or not a value is a finite number, or a string holding one (like: '42', '-1.5' or '2e3')
+ *
+ * @param {mixed} value
+ * @return {boolean}
+ */
+function isNumeric(value)
+{
+	if (typeof value === 'number') {
+		return isFinite(value);
+	}
+
+	return typeof value === 'string' && /^\s*[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?\s*$/i.test(value);
+}
+
+
+/**
+ * Whether or not a string is an IPv4 address (like: 192.168.0.1)
+ *
+ * @param {string} value
+ * @return {boolean}
+ */
+function isIPv4(value)
+{
+	return /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/.test(value);
+}
+
+
+/**
+ * Whether or not a string is an IPv6 address, compressed (like: fe80::1) or ending in an IPv4 address (like: ::ffff:192.168.0.1)
+ *
+ * @param {string} value
+ * @return {boolean}
+ */
+function isIPv6(value)
+{
+	var halves = value.split('::');
+
+	if (halves.length > 2) {
+		return false;
+	}
+
+	var groups = [];
+	for (var x = 0; x < halves.length; x++) {
+		if (halves[x].length) {
+			groups = groups.concat(halves[x].split(':'));
+		}
+	}
+
+	var size = groups.length;
+
+	if (size && groups[size - 1].indexOf('.') !== -1) {
+		// an IPv4 address takes up the last two groups
+		if (! isIPv4(groups.pop())) {
+			return false;
+		}
+		size++;
+	}
+
+	for (var x = 0; x < groups.length; x++) {
+		if (! /^[0-9a-f]{1,4}$/i.test(groups[x])) {
+			return false;
+		}
+	}
+
+	// '::' stands for at least one group of zeros
+	return halves.length === 2 ? size < 8 : size === 8;
+}
+
+
+/**
+ * Whether or not the arguments of an alpha rule ask for the old, ASCII only, behaviour (like: alpha_num:ascii)
+ *
+ * @param {array} args
+ * @return {boolean}
+ */
+function asciiOnly(args)
+{
+	return Array.isArray(args) && args[0] === 'ascii';
+}
+
+
+// a letter or number from any alphabet
+var alphaNumeric = '(?:' + letters + '|' + numbers + ')';
+
+// the unicode versions of the alpha rules
+var alphaPattern = new RegExp('^(?:' + letters + ')+$');
+var alphaNumPattern = new RegExp('^' + alphaNumeric + '+$');
+var alphaDashPattern = new RegExp('^(?:' + alphaNumeric + '|[_-])+$');
+
+// the pieces of an email address
+var emailAtom = '(?:' + alphaNumeric + "|[!#$%&'*+\\/=?^_`{|}~-])+";
+var emailLocalPattern = new RegExp('^' + emailAtom + '(\\.' + emailAtom + ')*$');
+var emailLabelPattern = new RegExp('^' + alphaNumeric + '((?:' + alphaNumeric + '|-){0,61}' + alphaNumeric + ')?$');
+var emailTldPattern = new RegExp('^((?:' + letters + '){2,}|xn--[a-z0-9-]+)$', 'i');
+
+
+// how strictly the email rule reads addresses (like: email:rfc)
+//   rfc: 		anything RFC 5322 allows (with RFC 6531's unicode), quoted local parts, address literals and hosts without a dot included
+//   html5: 	what <input type="email"> takes, ASCII local parts and any host name
+//   strict: 	a dotted local part at a host name with a top level domain, what people actually type (the default)
+var emailModes = ['rfc', 'html5', 'strict'];
+
+
+/**
+ * Whether or not a string is an email address under one of the emailModes
+ *
+ * Host names can be internationalised (like: dan@bücher.de), given as unicode or punycode
+ *
+ * @param {string} value
+ * @param {string} mode
+ * @return {boolean}
+ */
+function isEmail(value, mode)
+{
+	var at = value.lastIndexOf('@');
+
+	if (at < 1 || value.length > 254) {
+		return false;
+	}
+
+	var local = value.slice(0, at);
+	var domain = value.slice(at + 1);
+
+	if (mode === 'html5') {
+		return /^[a-zA-Z0-9.!#$%&'*+\/=?^_`{|}~-]+$/.test(local) && isEmailDomain(domain, false, false);
+	}
+
+	var atom = local.length <= 64 && emailLocalPattern.test(local);
+
+	if (mode === 'strict') {
+		return atom && isEmailDomain(domain, false, true);
+	}
+
+	var quoted = local.length <= 64 && /^"([^"\\\r\n]|\\[^\r\n])*"$/.test(local);
+
+	return (atom || quoted) && isEmailDomain(domain, true, false);
+}
+
+
+/**
+ * Whether or not a string is the domain of an email address
+ *
+ * @param {string} domain  (like: example.com, bücher.de, xn--bcher-kva.de or [192.168.0.1])
+ * @param {boolean} literal  Whether or not to take an address literal
+ * @param {boolean} tld  Whether or not to need a top level domain
+ * @return {boolean}
+ */
+function isEmailDomain(domain, literal, tld)
+{
+	if (domain[0] === '[' && domain[domain.length - 1] === ']') {
+		var address = domain.slice(1, -1);
+		return literal && (isIPv4(address) || (address.indexOf('IPv6:') === 0 && isIPv6(address.slice(5))));
+	}
+
+	var labels = domain.split('.');
+
+	if (domain.length > 253 || (tld && labels.length < 2)) {
+		return false;
+	}
+
+	for (var x = 0; x < labels.length; x++) {
+		if (! emailLabelPattern.test(labels[x])) {
+			return false;
+		}
+	}
+
+	// top level domains are letters, or punycode for them
+	return ! tld || emailTldPattern.test(labels[labels.length - 1]);
+}
+
+
+/**
+ * Whether or not a value is a File or Blob
+ *
+ * Told apart by what they have rather than instanceof, so files from other windows (like: an iframe) count
+ *
+ * @param {mixed} value
+ * @return {boolean}
+ */
+function isFile(value)
+{
+	return value !== null && typeof value === 'object' && typeof value.size === 'number' && typeof value.type === 'string' && typeof value.slice === 'function';
+}
+
+
+/**
+ * Whether or not a value is a FileList, like the files of an <input type="file">
+ *
+ * @param {mixed} value
+ * @return {boolean}
+ */
+function isFileList(value)
+{
+	return value !== null && typeof value === 'object' && typeof value.length === 'number' && typeof value.item === 'function' && ! isFile(value);
+}
+
+
+/**
+ * Turn a value into a string that changes whenever the value does, files included
+ *
+ * @param {mixed} value
+ * @return {string}
+ */
+function serialize(value)
+{
+	return JSON.stringify(value, function(key, item) {
+		if (isFile(item)) {
+			// files have no keys of their own, so describe them
+			return { name: item.name, type: item.type, size: item.size, lastModified: item.lastModified };
+		}
+
+		if (isFileList(item)) {
+			return Array.prototype.slice.call(item);
+		}
+
+		return item;
+	});
+}
+
+
+// the MIME types the image rule takes
+var imageTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/bmp', 'image/svg+xml', 'image/webp'];
+
+
+/**
+ * Whether or not images can be read here, which takes a browser
+ *
+ * @return {boolean}
+ */
+function canReadImages()
+{
+	if (typeof window === 'undefined') {
+		return false;
+	}
+
+	return typeof window.createImageBitmap === 'function' || (typeof window.Image === 'function' && typeof window.URL.createObjectURL === 'function');
+}
+
+
+/**
+ * Read the width and height of an image file, in the browser (see canReadImages())
+ *
+ * @param {Blob} file
+ * @return {Promise} Resolves with { width, height }, or null if the file can't be read as an image
+ */
+function imageSize(file)
+{
+	if (typeof window.createImageBitmap === 'function') {
+		return window.createImageBitmap(file).then(function(bitmap) {
+			var size = { width: bitmap.width, height: bitmap.height };
+
+			if (typeof bitmap.close === 'function') {
+				bitmap.close();
+			}
+
+			return size;
+		}, function() {
+			return null;
+		});
+	}
+
+	return new Promise(function(resolve) {
+		var url = window.URL.createObjectURL(file);
+		var image = new window.Image();
+
+		image.onload = function() {
+			window.URL.revokeObjectURL(url);
+			resolve({ width: image.naturalWidth, height: image.naturalHeight });
+		};
+
+		image.onerror = function() {
+			window.URL.revokeObjectURL(url);
+			resolve(null);
+		};
+
+		image.src = url;
+	});
+}
+
+
+/**
+ * Whether or not an image's size meets the constraints of a dimensions rule
+ *
+ * @param {object} size  { width, height }
+ * @param {object} constraints  (like: { min_width: 100, ratio: 1.5 })
+ * @return {boolean}
+ */
+function dimensionsFit(size, constraints)
+{
+	var checks = {
+		width: 				function(limit) { return size.width === limit },
+		height: 			function(limit) { return size.height === limit },
+		min_width: 		function(limit) { return size.width >= limit },
+		min_height: 	function(limit) { return size.height >= limit },
+		max_width: 		function(limit) { return size.width <= limit },
+		max_height: 	function(limit) { return size.height <= limit },
+		ratio: 				function(limit) { return Math.abs(size.width / size.height - limit) < 1e-6 },
+	};
+
+	for (var constraint in constraints) {
+		if (! checks[constraint](constraints[constraint])) {
+			return false;
+		}
+	}
+
+	return true;
+}
+
+
+// words that can stand in for a date when comparing against one (like: before:tomorrow)
+var dateKeywords = {
+	now: 				function() { return new Date() },
+	today: 			function() { return startOfDay(0) },
+	tomorrow: 	function() { return startOfDay(1) },
+	yesterday: 	function() { return startOfDay(-1) },
+};
+
+
+/**
+ * Whether or not an argument of a date rule is a date itself, rather than the path of another field
+ *
+ * @param {mixed} arg  (like: 2024-03-01, today or starts_at)
+ * @param {string} format  The date_format of the field being checked, if it has one
+ * @return {boolean}
+ */
+function isDateLiteral(arg, format = null)
+{
+	if (typeof arg === 'string' && dateKeywords.hasOwnProperty(arg)) {
+		return true;
+	}
+
+	return parseDate(arg) !== null || (format !== null && parseDate(arg, format) !== null);
+}
+
+
+/**
+ * Make sure a custom rule is named and callable before saving it
+ *
+ * @param {string} name
+ * @param {function} fn
+ * @return {void}
+ */
+function checkCustomRule(name, fn)
+{
+	if (typeof name !== 'string' || ! name.length || /[|:]/.test(name)) {
+		throw "'" + name + "' is not a valid rule name";
+	}
+
+	if (typeof fn !== 'function') {
+		throw "The rule '" + name + "' must be given a function";
+	}
+}
+
+
+/**
+ * Create the state that the methods below work on (the mixin's data())
+ *
+ * @return {object} { errors, validator_ }
+ */
+export function createState()
+{
+	var validRules = {
+		required: 	function(args) { return this.required_(args) },	// the field needs to have something in it
+		max: 				function(args) { return this.max_(args) }, 		// the field must be less than a given argument in length or size
+		min: 				function(args) { return this.min_(args) }, 		// the field must be greater than a given argument in length or size
+		size: 			function(args) { return this.size_(args) }, 	// the field must be of a given size in length or value
+		equals: 		function(args) { return this.equals_(args) }, 	// the field must equal to a given value
+		in: 				function(args) { return this.in_(args) }, 		// the field must equal one of the given arguments
+		boolean: 		function(args) { return this.boolean_(args) },  // the field must be a boolean
+		string: 		function(args) { return this.string_(args) },  	// the field must be a string
+		number: 		function(args) { return this.number_(args) },  	// the field must be a number
+		array: 			function(args) { return this.array_(args) },  	// the field must be an array
+		regex: 			function(args) { return this.regex_(args) },  	// the field must be a string that matches a given regular expression. Use a RegExp in an array of rules if it has pipes
+		alpha_num: 	function(args) { return this.alphaNum_(args) },  // the field must be a string with only letters and numbers from any alphabet (or alpha_num:ascii)
+		alpha_dash: function(args) { return this.alphaDash_(args) },  // the field must be a string with only letters and numbers from any alphabet, dashes and underscores (or alpha_dash:ascii)
+		email: 			function(args) { return this.email_(args) }, 	// the field must be a valid email, read as strictly as given (like: email:rfc, see emailModes)
+		alpha: 			function(args) { return this.alpha_(args) }, 	// the field must be a string with only letters from any alphabet (or alpha:ascii)
+		ascii: 			function(args) { return this.ascii_(args) }, 	// the field must be a string with only ASCII characters
+		lowercase: 	function(args) { return this.lowercase_(args) }, 	// the field must not have any uppercase letters
+		uppercase: 	function(args) { return this.uppercase_(args) }, 	// the field must not have any lowercase letters
+		not_regex: 	function(args) { return this.notRegex_(args) }, 	// the field must not match a given regular expression
+		starts_with: 	function(args) { return this.startsWith_(args) }, 	// the field must start with one of the given arguments
+		ends_with: 		function(args) { return this.endsWith_(args) }, 	// the field must end with one of the given arguments
+		doesnt_start_with: 	function(args) { return this.doesntStartWith_(args) }, 	// the field must not start with any of the given arguments
+		doesnt_end_with: 		function(args) { return this.doesntEndWith_(args) }, 	// the field must not end with any of the given arguments
+		url: 				function(args) { return this.url_(args) }, 		// the field must be a URL, optionally with one of the given protocols (like: url:http,https)
+		ip: 				function(args) { return this.ip_(args) }, 		// the field must be an IPv4 or IPv6 address
+		ipv4: 			function(args) { return this.ipv4_(args) }, 	// the field must be an IPv4 address
+		ipv6: 			function(args) { return this.ipv6_(args) }, 	// the field must be an IPv6 address
+		mac_address: 	function(args) { return this.macAddress_(args) }, 	// the field must be a MAC address
+		uuid: 			function(args) { return this.uuid_(args) }, 	// the field must be a UUID
+		ulid: 			function(args) { return this.ulid_(args) }, 	// the field must be a ULID
+		json: 			function(args) { return this.json_(args) }, 	// the field must be a string of valid JSON
+		file: 			function(args) { return this.file_(args) }, 	// the field must be a File or Blob
+		image: 			function(args) { return this.image_(args) }, 	// the field must be an image file (jpeg, png, gif, bmp, svg or webp)
+		mimes: 			function(args) { return this.mimes_(args) }, 	// the field must be a file with one of the given extensions (like: mimes:jpg,png)
+		mimetypes: 	function(args) { return this.mimetypes_(args) }, 	// the field must be a file of one of the given MIME types (like: mimetypes:image/*,application/pdf)
+		max_kb: 		function(args) { return this.maxKb_(args) }, 	// the field must be a file no bigger than a given number of kilobytes
+		min_kb: 		function(args) { return this.minKb_(args) }, 	// the field must be a file no smaller than a given number of kilobytes
+		dimensions: function(args) { return this.dimensions_(args) }, 	// the field must be an image of given dimensions (like: dimensions:min_width=100,ratio=3/2), checked asynchronously
+		same: 			function(args) { return this.same_(args) }, 	// the field must match another field
+		different: 	function(args) { return this.different_(args) }, // the field must not match another field
+		confirmed: 	function(args) { return this.confirmed_(args) }, // the field must match another field named {field}_confirmation
+		required_if: 			function(args) { return this.requiredIf_(args) }, 			// the field is required when another field equals one of the given values
+		required_unless: 	function(args) { return this.requiredUnless_(args) }, 	// the field is required unless another field equals one of the given values
+		required_with: 		function(args) { return this.requiredWith_(args) }, 		// the field is required when any of the other fields are filled
+		required_without: function(args) { return this.requiredWithout_(args) }, 	// the field is required when any of the other fields are empty
+		distinct: 		function(args) { return this.distinct_(args) }, 	// the array must not have any duplicate values (or items with duplicate values at a key)
+		array_min: 		function(args) { return this.arrayMin_(args) }, 	// the array must have at least a given number of items
+		array_max: 		function(args) { return this.arrayMax_(args) }, 	// the array must have at most a given number of items
+		array_size: 	function(args) { return this.arraySize_(args) }, 	// the array must have exactly a given number of items
+		numeric: 		function(args) { return this.numeric_(args) }, 	// the field must be a number or a numeric string, and is sized as a number by min, max and friends
+		integer: 		function(args) { return this.integer_(args) }, 	// the field must be a whole number or a string of one, and is sized as a number by min, max and friends
+		between: 		function(args) { return this.between_(args) }, 	// the field must be between two given arguments in size or length (inclusive)
+		digits: 		function(args) { return this.digits_(args) }, 	// the field must be made up of a given number of digits
+		digits_between: 	function(args) { return this.digitsBetween_(args) }, 	// the field must be made up of between two given numbers of digits
+		decimal: 		function(args) { return this.decimal_(args) }, 	// the field must be a number with a given number (or range) of decimal places
+		multiple_of: 	function(args) { return this.multipleOf_(args) }, 	// the field must be a multiple of a given number
+		gt: 				function(args) { return this.gt_(args) }, 		// the field must be greater than another field (or a number) in size or length
+		gte: 				function(args) { return this.gte_(args) }, 	// the field must be greater than or equal to another field (or a number) in size or length
+		lt: 				function(args) { return this.lt_(args) }, 		// the field must be less than another field (or a number) in size or length
+		lte: 				function(args) { return this.lte_(args) }, 	// the field must be less than or equal to another field (or a number) in size or length
+		date: 				function(args) { return this.date_(args) }, 	// the field must be a real date (a Date or an ISO 8601 string)
+		date_format: 	function(args) { return this.dateFormat_(args) }, 	// the field must be a date written in a given format (like: date_format:DD/MM/YYYY)
+		before: 			function(args) { return this.before_(args) }, 	// the field must be a date before a given date, keyword or other field
+		after: 				function(args) { return this.after_(args) }, 	// the field must be a date after a given date, keyword or other field
+		before_or_equal: 	function(args) { return this.beforeOrEqual_(args) }, 	// the field must be a date no later than a given date, keyword or other field
+		after_or_equal: 	function(args) { return this.afterOrEqual_(args) }, 	// the field must be a date no earlier than a given date, keyword or other field
+		date_between: 		function(args) { return this.dateBetween_(args) }, 	// the field must be a date between two given dates, keywords or other fields (inclusive)
+		bail: 				function() { return true }, 	// stop at the first failed rule, whatever the bail option says
+		nullable: 		function() { return true }, 	// the field may be null, only the required rules run when it is
+		sometimes: 		function() { return true }, 	// only check the field when its key is present
+	};
+
+	return {
+		errors: {},
+		errorBag: {}, 		// every failed rule and message per field (like: { 'users.1.email': [{ rule, message }] })
+		fieldFlags: {}, 	// dirty, touched, pristine and validated per field (like: { 'users.1.email': { dirty: true, ... } })
+		validator_: {
+			vars: {},
+			errMsg: {},
+			watching: {},
+			lazy: {}, 					// registered paths that are only checked once touched (like: { 'users.*.email': true })
+			timers: {}, 				// debounced checks waiting to run, keyed by path
+			destroyed: false, 	// whether or not the component has been torn down (see Validator.js)
+			items: {}, 					// what told each item of a registered array apart when it was last seen, keyed by root
+			watchedItems: {}, 			// the watched keys of each array and the values they last had (like: { users: { email: { debounce, seen } } })
+			validRules: validRules,
+			defaultMessages: {}, 	// fallback error messages for the rules added with extendRules()
+			attributes: {}, 		// display names used for :attribute and :other in error messages
+			locale: activeLocale, 	// which set of default error messages to use
+			failed: {}, 				// the rule each field is currently failing, so its message can be re-rendered
+			inlineRules: {}, 		// functions given directly as rules, keyed by path then rule name
+			conditions: {}, 		// the when() predicates each rule depends on, keyed by path then rule name
+			bail: true, 				// whether or not to stop at the first failed rule, unless a variable says otherwise
+			showErrorsWhen: 'always', 	// when failed rules are shown, unless a variable says otherwise (always, dirty or touched)
+			initial: {}, 				// the value of each field when it was first seen, to tell when it becomes dirty
+			options: null, 			// the options given when registering this variable (like: { bail: false })
+			value: null, 				// the value of the variable in question
+			path: null, 				// the full path of the variable (e.g. user.name.firstname)
+			root: null, 				// the name of the root of the variable (e.g. user)
+			key: null,					// string of keys off of the root variable that make up the full path
+			rules: null, 				// the rules applied to this variable
+			fieldRules: null, 	// every rule of the variable being checked, for rules that depend on the others (like: date_format)
+			messages: null, 		// the error messages to set
+			count: null,				// the index into the array counter
+			isArray: null,			// whether or not the given variable is an array
+			arraySize: null, 		// how many indices to initialize errors array with for a given variable
+			collection: false, 	// whether the array itself is being checked, rather than its items (see collectionRules)
+			trackBy: null, 			// a key that tells the items of an array apart (like: id), otherwise they are told apart by reference
+			arrayIndex: null,		// which index of the given array to error check
+			temp: {}, 					// placeholder used to build up error objects for arrays
+			data: null, 				// where variables are looked up when not using the component itself (see Engine)
+			pending: {}, 				// fields waiting on an asynchronous rule (e.g. users.1.email)
+			checkIds: {}, 			// the id of the most recent check run on each field
+			checkCount: 0, 			// source of unique check ids, used to discard stale async results
+			latest: {}, 				// the outcome (number or promise) of the most recent check on each field
+			promises: [], 			// async checks started by the current errorCheck() call (like: [{ errors, check }])
+		}
+	}
+}
+
+
+/**
+ * Everything needed to register, check and report errors on variables
+ * Bound to either a component (through the mixin) or an Engine
+ */
+export const methods =
+{
+	/**
+	 * Set a value at a path off of the engine, creating any objects missing along the way
+	 *
+	 * The mixin replaces this with a write its component reacts to (see Validator.js)
+	 *
+	 * @param {string} path  (like: errors.users.1.email)
+	 * @param {mixed} value
+	 * @return {void}
+	 */
+	set_(path, value)
+	{
+		buildPath(this, path, value);
+	},
+
+
+	/**
+	 * Whether or not variables can be watched for changes, which an engine's data can't
+	 *
+	 * @return {boolean}
+	 */
+	canWatch_()
+	{
+		return false;
+	},
+
+
+	/**
+	 * Call back whenever the value at a path, or what a function returns, changes
+	 *
+	 * Only the mixin can watch anything (see Validator.js and canWatch_())
+	 *
+	 * @param {string | function} source  (like: users.1.email)
+	 * @param {function} callback  Bound to this
+	 * @param {object} options  (like: { deep: true })
+	 * @return {function | null} Stops watching
+	 */
+	watch_(source, callback, options = {})
+	{
+		return null;
+	},
+
+
+	/**
+	 * Register a given variable for error checking against given rules
+	 * 
+	 * @param {string} variable The variable being registered for error checking		
+	 * @param {string | array} rules  Rules that should be applied to the variable
+	 * @param {array | object} messages  Error messages (up to one-to-one with rules or less, or keyed by rule name)
+	 * @param {boolean | object} watch  Whether or not to run error checking when the variable changes,
+	 *                                  or an object of options (like: { watch, arraySize, bail, showErrorsWhen, mode, debounce, trackBy })
+	 * @param {int} arraySize   How many indices in errors.{} that should be created initially
+	 * @return {void} 
+	 */
+	registerErrorChecking(variable, rules, messages = [], watch = true, arraySize = null)
+	{
+		var options = {};
+		if (watch !== null && typeof watch === 'object') {
+			options = watch;
+			watch = typeof options.watch === 'undefined' ? true : options.watch;
+			arraySize = typeof options.arraySize === 'undefined' ? arraySize : options.arraySize;
+		}
+
+		var mode = this.checkMode_(typeof options.mode === 'undefined' ? 'eager' : options.mode);
+		var debounce = typeof options.debounce === 'number' && options.debounce > 0 ? options.debounce : 0;
+
+		this.validator_.options = {
+			bail: typeof options.bail === 'boolean' ? options.bail : null, // null defers to this.validator_.bail
+			showErrorsWhen: typeof options.showErrorsWhen === 'undefined' ? null : this.checkShowErrorsWhen_(options.showErrorsWhen),
+		};
+
+		this.validator_.path = variable;
+		this.validator_.root = variable;
+		this.validator_.rules = rules;
+		this.validator_.messages = messages;
+		this.validator_.count = 0;
+		this.validator_.isArray = false;
+		this.validator_.key = '';
+
+		// variable could have various indices beyond just the root
+		// split into an array for ease
+		variable = variable.split('.');
+
+		if (variable.length > 1) {
+
+			this.validator_.root = variable[0];
+
+			if (variable[1] === '*') {
+				// dealing with an array
+				this.validator_.isArray = true;
+				this.validator_.path = this.validator_.root;
+				this.validator_.arraySize = arraySize;
+				this.validator_.trackBy = typeof options.trackBy === 'string' ? options.trackBy : null;
+				this.validator_.key = ''
+
+				if (variable.length > 2) {
+					// variable looks like 'players.*.name.firstname', save those extra keys
+					this.validator_.key = variable.slice(2).join('.');
+					this.validator_.path = this.validator_.root + '.' + this.validator_.key;
+				}
+			}
+			else {
+				// variable looks like 'player.name'
+				this.validator_.key = variable.slice(1).join('.');
+				this.validator_.path = this.validator_.root + '.' + this.validator_.key;
+			}
+		}
+
+		this.register_();
+
+		if (mode === 'lazy') {
+			this.validator_.lazy[variable.join('.')] = true;
+		}
+
+		if (watch && mode === 'eager' && this.validator_.isArray && this.canWatch_()) {
+			// whenever an item in the array changes, is added or is removed, re-run the error check on just that item
+			var root = this.validator_.root;
+			var key = this.validator_.key;
+			var added = this.validator_.vars[root].rules.slice(-1)[0];
+			this.watchArray_(root, key, debounce, added);
+
+			// and every item whenever a field outside of the array that its rules depend on changes
+			var others = [];
+			var indices = keysOf(this.valueAt_(root));
+			for (var x = 0; x < Math.max(indices.length, 1); x++) {
+				others = others.concat(this.itemDependencies_(root, indices.length ? indices[x] : 0, key, added));
+			}
+
+			this.watchOutsideFields_(variable.join('.'), root, others, debounce);
+			this.watchConditions_(variable.join('.'), this.validator_.path, debounce);
+		}
+		else if (watch && mode === 'eager' && this.validator_.key.indexOf('*') !== -1 && this.canWatch_()) {
+			// arrays nested within the variable have to be watched deeply
+			var path = this.validator_.path;
+			this.validator_.watching[path] = this.watch_(this.validator_.root, function() { this.checkLater_(path, debounce); }, { deep: true });
+
+			this.validator_.arrayIndex = null;
+			var others = this.referencedPaths_(this.validator_.vars[this.validator_.root].rules.slice(-1)[0]);
+			this.watchOutsideFields_(path, this.validator_.root, others, debounce);
+			this.watchConditions_(path, path, debounce);
+		}
+		else if (watch && mode === 'eager' && this.canWatch_()) {
+			// whenever this variable changes, re-run the error check
+			var path = this.validator_.path;
+			this.validator_.watching[path] = this.watch_(path, function() { this.checkLater_(path, debounce); });
+
+			// the same goes for any other fields its rules depend on
+			this.validator_.arrayIndex = null;
+			var others = this.referencedPaths_(this.validator_.vars[this.validator_.root].rules.slice(-1)[0]);
+			for (var x = 0; x < others.length; x++) {
+				this.validator_.watching[path + ' <- ' + others[x]] = this.watch_(others[x], function() { this.checkLater_(path, debounce); });
+			}
+
+			// and whenever the predicates of a when() in them change their minds
+			this.watchConditions_(path, path, debounce);
+		}
+	},
+
+
+	/**
+	 * Re-check a variable whenever one of the fields its rules depend on changes,
+	 * leaving out the ones inside the variable's own root, which is already watched deeply
+	 *
+	 * @param {string} path  What to check (like: users.*.email)
+	 * @param {string} root  (like: users)
+	 * @param {array} others  The paths of the fields its rules depend on (like: ['invite', 'users.1.name'])
+	 * @param {int} debounce
+	 * @return {void}
+	 */
+	watchOutsideFields_(path, root, others, debounce)
+	{
+		for (var x = 0; x < others.length; x++) {
+			var key = path + ' <- ' + others[x];
+
+			if (others[x] === root || others[x].indexOf(root + '.') === 0 || key in this.validator_.watching) {
+				continue;
+			}
+
+			this.validator_.watching[key] = this.watch_(others[x], function() { this.checkLater_(path, debounce); });
+		}
+	},
+
+
+	/**
+	 * Re-check a variable whenever the predicates of a when() in its rules change their minds,
+	 * for any one of its items when it has wildcards
+	 *
+	 * @param {string} path  What to check (like: company_vat or users.*.vat)
+	 * @param {string} registered  Where its predicates are kept (like: company_vat or users.vat, see addConditions_())
+	 * @param {int} debounce
+	 * @return {void}
+	 */
+	watchConditions_(path, registered, debounce)
+	{
+		var self = this;
+		var conditions = this.validator_.conditions[registered] || {};
+		var watched = []; // the rules inside one when() share its list of predicates
+
+		for (var rule in conditions) {
+			if (watched.indexOf(conditions[rule]) === -1) {
+				watched.push(conditions[rule]);
+			}
+		}
+
+		watched.forEach(function(list, x) {
+			self.validator_.watching[path + ' <- when #' + x] = self.watch_(function() {
+				var fields = path.indexOf('*') === -1 ? [path] : expandPath(self.validator_.data === null ? self : self.validator_.data, path);
+
+				return fields.map(function(field) {
+					return self.conditionsHold_(list, self.valueAt_(field)) ? 1 : 0;
+				}).join();
+			}, function() { this.checkLater_(path, debounce); });
+		});
+	},
+
+
+	/**
+	 * Deeply watch an array registered with a wildcard, checking only the items whose value at the key changed,
+	 * or the value of another field in the item that its rules depend on (like: same:users.*.password)
+	 *
+	 * @param {string} root  (like: users)
+	 * @param {string} key  (like: email, or '' for the items themselves)
+	 * @param {int} debounce  How long to wait for the items to stop changing
+	 * @param {object} rules  The formatted rules registered for the key
+	 * @return {void}
+	 */
+	watchArray_(root, key, debounce, rules)
+	{
+		var self = this;
+
+		if (! (root in this.validator_.watchedItems)) {
+			// one watcher per array, so the items are only lined up once per change
+			this.validator_.watchedItems[root] = {};
+			this.validator_.watching[root + '.*'] = this.watch_(root, function() {
+				self.alignItems_(root);
+
+				for (var key in self.validator_.watchedItems[root]) {
+					self.checkChangedItems_(root, key);
+					self.checkCollections_(root, key);
+				}
+			}, { deep: true });
+		}
+
+		this.validator_.watchedItems[root][key] = { debounce: debounce, rules: rules, seen: this.itemValues_(root, key, rules) };
+	},
+
+
+	/**
+	 * Check the items that were added, or whose value at the key changed, since the array was last seen
+	 *
+	 * @param {string} root
+	 * @param {string} key
+	 * @return {void}
+	 */
+	checkChangedItems_(root, key)
+	{
+		var watched = this.validator_.watchedItems[root][key];
+		var current = this.itemValues_(root, key, watched.rules);
+		var suffix = key.length ? '.' + key : '';
+
+		for (var index in current) {
+			if (current[index] !== watched.seen[index]) {
+				this.checkLater_(root + '.' + index + suffix, watched.debounce);
+			}
+		}
+
+		watched.seen = current;
+	},
+
+
+	/**
+	 * Serialize the value at a key of every item in an array (or entry in an object map), so changes can be spotted,
+	 * along with the values of the other fields in the array that the rules for the key depend on
+	 *
+	 * @param {string} root
+	 * @param {string} key
+	 * @param {object} rules  Formatted rules (like: { same: ['users.*.password'] })
+	 * @return {array | object}
+	 */
+	itemValues_(root, key, rules = {})
+	{
+		var array = this.valueAt_(root) || [];
+		var indices = keysOf(array);
+		var values = isList(array) ? [] : {};
+
+		for (var x = 0; x < indices.length; x++) {
+			var item = array[indices[x]];
+			var keys = expandPath(item, key);
+			var value = [];
+			for (var y = 0; y < keys.length; y++) {
+				value.push(keys[y].length ? getPath(item, keys[y]) : item);
+			}
+
+			// the fields outside of the array are watched on their own (see watchOutsideFields_())
+			var others = key.indexOf('*') === -1 ? this.itemDependencies_(root, indices[x], key, rules) : [];
+			for (var y = 0; y < others.length; y++) {
+				if (others[y].indexOf(root + '.') === 0) {
+					value.push(this.valueAt_(others[y]));
+				}
+			}
+
+			values[indices[x]] = String(serialize(value));
+		}
+
+		return values;
+	},
+
+
+	/**
+	 * Find the paths of the other fields that the rules of one item of an array depend on
+	 *
+	 * @param {string} root  (like: users)
+	 * @param {string} index  (like: 1)
+	 * @param {string} key  (like: password_confirmation)
+	 * @param {object} rules  Formatted rules (like: { same: ['password'] })
+	 * @return {array} (like: ['users.1.password'] or ['invite'])
+	 */
+	itemDependencies_(root, index, key, rules)
+	{
+		var state = this.saveState_();
+		this.validator_.root = root;
+		this.validator_.key = key;
+		this.validator_.path = key.length ? root + '.' + key : root;
+		this.validator_.arrayIndex = index;
+		this.validator_.collection = false;
+
+		var others = this.referencedPaths_(rules);
+
+		this.restoreState_(state);
+
+		return others;
+	},
+
+
+	/**
+	 * Match the items in an array up with where they were when it was last seen,
+	 * moving their errors and state along with them
+	 *
+	 * Items are told apart by their trackBy key if one was registered, otherwise by reference.
+	 * Anything else (like strings) stays put at its index. The entries of an object map are told apart by their keys
+	 *
+	 * @param {string} root  (like: users)
+	 * @return {void}
+	 */
+	alignItems_(root)
+	{
+		var array = this.valueAt_(root) || [];
+
+		if (! isList(array)) {
+			return this.alignEntries_(root, array);
+		}
+
+		var before = this.validator_.items[root] || [];
+		var after = [];
+		var moves = [];
+		var taken = [];
+		var moved = before.length !== array.length || this.errors[root].length < array.length;
+
+		for (var x = 0; x < array.length; x++) {
+			var identity = itemIdentity(array[x], this.validator_.vars[root].trackBy);
+			var from = x < before.length ? x : -1;
+
+			if (identity !== undefined) {
+				// find the first spot this item was in that another item hasn't already claimed
+				from = before.indexOf(identity);
+				while (from !== -1 && taken[from]) {
+					from = before.indexOf(identity, from + 1);
+				}
+			}
+
+			if (from !== -1) {
+				taken[from] = true;
+			}
+
+			moved = moved || from !== x;
+			after.push(identity);
+			moves.push(from);
+		}
+
+		this.validator_.items[root] = after;
+
+		if (moved) {
+			var to = {};
+			for (var x = 0; x < moves.length; x++) {
+				if (moves[x] !== -1) {
+					to[moves[x]] = x;
+				}
+			}
+
+			this.moveItems_(root, to);
+		}
+	},
+
+
+	/**
+	 * Forget the errors and state of the entries removed from an object map, and make room for new ones
+	 *
+	 * @param {string} root  (like: prices)
+	 * @param {object} map
+	 * @return {void}
+	 */
+	alignEntries_(root, map)
+	{
+		var errors = this.errors[root] !== null && typeof this.errors[root] === 'object' ? this.errors[root] : {};
+		var keys = Object.keys(map);
+		var changed = Array.isArray(errors) || keys.length !== Object.keys(errors).length;
+
+		var to = {};
+		for (var x = 0; x < keys.length; x++) {
+			to[keys[x]] = keys[x];
+			changed = changed || ! (keys[x] in errors);
+		}
+
+		if (changed) {
+			this.moveItems_(root, to);
+		}
+	},
+
+
+	/**
+	 * Move the errors and state of every item in an array (or entry in an object map) to its new key,
+	 * forgetting items that were removed
+	 *
+	 * @param {string} root
+	 * @param {object} to  The new key of every item that is still around, by its old key (like: { 0: 1, 1: 0 })
+	 * @return {void}
+	 */
+	moveItems_(root, to)
+	{
+		var value = this.valueAt_(root) || [];
+		var from = {};
+		for (var key in to) {
+			from[to[key]] = key;
+		}
+
+		// the new name of a field (like: users.3.email becomes users.2.email), or null once its item is gone
+		var rename = function(field) {
+			var keys = field.split('.');
+
+			if (keys[0] !== root || keys.length < 2) {
+				return field;
+			}
+
+			if (! (keys[1] in to)) {
+				return null;
+			}
+
+			keys[1] = to[keys[1]];
+			return keys.join('.');
+		};
+
+		// checks that are waiting or still running on a moved item have to start over at its new index
+		var recheck = [];
+		for (var field in this.validator_.timers) {
+			if (rename(field) !== field) {
+				this.cancelCheck_(field);
+
+				if (rename(field) !== null) {
+					recheck.push(rename(field));
+				}
+			}
+		}
+
+		for (var field in this.validator_.pending) {
+			if (rename(field) !== field && rename(field) !== null) {
+				recheck.push(rename(field));
+			}
+		}
+
+		var stores = ['failed', 'checkIds', 'latest', 'initial', 'pending'];
+		for (var x = 0; x < stores.length; x++) {
+			this.validator_[stores[x]] = renameKeys(this.validator_[stores[x]], rename);
+		}
+
+		for (var field in this.validator_.failed) {
+			if (this.validator_.failed[field].root === root && this.validator_.failed[field].arrayIndex !== null) {
+				var index = field.split('.')[1];
+				this.validator_.failed[field].arrayIndex = isList(value) ? parseInt(index) : index;
+			}
+		}
+
+		this.errorBag = renameKeys(this.errorBag, rename);
+		this.fieldFlags = renameKeys(this.fieldFlags, rename);
+
+		// what the watchers last saw moves too, leaving new items unseen
+		var keys = keysOf(value);
+		for (var key in this.validator_.watchedItems[root]) {
+			var seen = this.validator_.watchedItems[root][key].seen;
+			var moved = isList(value) ? [] : {};
+			for (var x = 0; x < keys.length; x++) {
+				moved[keys[x]] = keys[x] in from ? seen[from[keys[x]]] : undefined;
+			}
+
+			this.validator_.watchedItems[root][key].seen = moved;
+		}
+
+		// line up this.errors, without shrinking an array past the size that was preallocated when registering
+		var errors = this.errors[root] || {};
+		var temp = isList(value) ? [] : {};
+		for (var x = 0; x < keys.length; x++) {
+			if (keys[x] in from && typeof errors[from[keys[x]]] !== 'undefined') {
+				temp[keys[x]] = errors[from[keys[x]]];
+			}
+			else {
+				temp[keys[x]] = this.blankEntry_(root, value[keys[x]]);
+			}
+		}
+
+		while (Array.isArray(temp) && temp.length < this.validator_.vars[root].arraySize) {
+			temp.push(this.blankEntry_(root, undefined));
+		}
+		this.set_('errors.' + root, temp);
+
+		var state = this.saveState_();
+		for (var x = 0; x < recheck.length; x++) {
+			this.errorCheckSpecific(recheck[x]);
+		}
+		this.restoreState_(state);
+	},
+
+
+	/**
+	 * Empty error messages for every registered key of a variable (or of an item, for arrays)
+	 *
+	 * @param {string} root
+	 * @param {mixed} value  The variable or item the messages belong to
+	 * @return {object | string}  (like: { name: { firstname: '' }, lines: [{ sku: '' }] })
+	 */
+	blankEntry_(root, value)
+	{
+		var keys = this.validator_.vars[root].keys;
+
+		if (keys.indexOf('') !== -1) {
+			// the items themselves are being checked
+			return '';
+		}
+
+		var entry = {};
+		for (var x = 0; x < keys.length; x++) {
+			entry = mergeErrors(entry, blankErrors(value, keys[x]));
+		}
+
+		return entry;
+	},
+
+
+	/**
+	 * Make sure a mode is one that registerErrorChecking() knows about
+	 *
+	 * @param {string} mode  eager, lazy or onSubmit
+	 * @return {string}
+	 */
+	checkMode_(mode)
+	{
+		if (['eager', 'lazy', 'onSubmit'].indexOf(mode) === -1) {
+			throw "'" + mode + "' is not a valid mode, use 'eager', 'lazy' or 'onSubmit'";
+		}
+
+		return mode;
+	},
+
+
+	/**
+	 * Error check a path once it has stopped changing for the given number of milliseconds
+	 *
+	 * @param {string} path
+	 * @param {int} delay  0 checks right away
+	 * @return {void}
+	 */
+	checkLater_(path, delay)
+	{
+		this.cancelCheck_(path);
+
+		if (! delay) {
+			this.errorCheck(path);
+			return;
+		}
+
+		var self = this;
+		this.validator_.timers[path] = setTimeout(function() {
+			delete self.validator_.timers[path];
+			self.errorCheck(path);
+		}, delay);
+	},
+
+
+	/**
+	 * Forget a debounced check that hasn't run yet
+	 *
+	 * @param {string} path
+	 * @return {void}
+	 */
+	cancelCheck_(path)
+	{
+		if (path in this.validator_.timers) {
+			clearTimeout(this.validator_.timers[path]);
+			delete this.validator_.timers[path];
+		}
+	},
+
+
+	/**
+	 * Forget every debounced check that hasn't run yet (like: when the component is destroyed)
+	 *
+	 * @return {void}
+	 */
+	cancelChecks_()
+	{
+		for (var path in this.validator_.timers) {
+			this.cancelCheck_(path);
+		}
+	},
+
+
+	/**
+	 * Whether or not a field was registered with mode: 'lazy'
+	 *
+	 * @param {string} field  (like: users.1.email)
+	 * @return {boolean}
+	 */
+	isLazy_(field)
+	{
+		for (var pattern in this.validator_.lazy) {
+			if (fieldMatches(pattern, field)) {
+				return true;
+			}
+		}
+
+		return false;
+	},
+
+
+	/**
+	 * Register a whole form's worth of variables at once
+	 *
+	 * Each path maps to either a rule string or an object with the same options
+	 * registerErrorChecking() takes (rules, messages, watch, arraySize, bail, showErrorsWhen, mode, debounce, trackBy)
+	 * Rules can also be given on their own, as an array, a RegExp, a function, a when() or a { rule, fn }
+	 *
+	 * @param {object | function | null} schema  The mixin defaults it to the component's 'validation' option
+	 * @return {void}
+	 */
+	registerSchema(schema = null)
+	{
+		if (typeof schema === 'function') {
+			schema = schema.call(this);
+		}
+
+		if (schema === null || typeof schema !== 'object') {
+			throw "There is no validation schema to register";
+		}
+
+		for (var variable in schema) {
+			var options = schema[variable];
+
+			if (typeof options === 'string' || Array.isArray(options) || options instanceof RegExp || typeof options === 'function' || isCondition(options) || (options !== null && typeof options === 'object' && 'rule' in options && ! ('rules' in options))) {
+				// just the rules (a lone when() or { rule, fn } too)
+				options = { rules: options };
+			}
+
+			if (typeof options.rules === 'undefined') {
+				throw "The validation schema for '" + variable + "' is missing its rules";
+			}
+
+			this.registerErrorChecking(variable, options.rules, typeof options.messages === 'undefined' ? [] : options.messages, options);
+		}
+	},
+
+
+	/**
+	 * Register the saved attributes for error checking
+	 *
+	 * @return {void}
+	 */
+	register_()
+	{
+		if (typeof this.validator_.vars[this.validator_.root] === 'undefined') {
+			// new entry
+			this.set_('validator_.vars.' + this.validator_.root, {
+				rules: [this.addRules()],
+				isArray: this.validator_.isArray,
+				keys: [this.validator_.key],
+				options: [this.validator_.options],
+				arraySize: this.validator_.isArray ? this.validator_.arraySize : null,
+				trackBy: this.validator_.isArray ? this.validator_.trackBy : null,
+				collections: [], 	// the rules that apply to the array itself (like: [{ key: 'email', rules: { distinct: [] }, options }])
+			});
+		}
+		else {
+			// add these rules
+			if (this.checkForConflicts()) {
+				return;
+			}
+			this.validator_.vars[this.validator_.root].rules.push(this.addRules());
+			this.validator_.vars[this.validator_.root].keys.push(this.validator_.key);
+			this.validator_.vars[this.validator_.root].options.push(this.validator_.options);
+
+			if (this.validator_.isArray && this.validator_.arraySize > this.validator_.vars[this.validator_.root].arraySize) {
+				this.validator_.vars[this.validator_.root].arraySize = this.validator_.arraySize;
+			}
+
+			if (this.validator_.isArray && this.validator_.trackBy) {
+				// start telling the items apart the new way
+				this.validator_.vars[this.validator_.root].trackBy = this.validator_.trackBy;
+				delete this.validator_.items[this.validator_.root];
+			}
+		}
+
+		if (this.validator_.isArray) {
+			this.splitCollectionRules_();
+		}
+
+		if (! this.validator_.isArray && this.validator_.key.indexOf('*') !== -1) {
+			// initialize errors to arrays of empty strings nested within the variable
+			this.set_('errors.' + this.validator_.root, this.blankEntry_(this.validator_.root, this.valueAt_(this.validator_.root)));
+		}
+		else if (! this.validator_.isArray) {
+			// initialize errors to an empty string
+			this.set_('errors.' + this.validator_.path, '');
+		}
+		else {
+			// initialize errors to array of empty strings
+			this.initializeErrorArray();
+		}
+
+		this.snapshotValues_();
+	},
+
+
+	/**
+	 * Move the rules that apply to the whole array (like: distinct or array_max) out of the rules
+	 * run on each item of the variable that was just registered
+	 *
+	 * @return {void}
+	 */
+	splitCollectionRules_()
+	{
+		var vars = this.validator_.vars[this.validator_.root];
+		var rules = vars.rules[vars.rules.length - 1];
+		var items = {};
+		var collection = {};
+		var found = false;
+
+		for (var rule in rules) {
+			if (collectionRules.indexOf(rule) !== -1) {
+				collection[rule] = rules[rule];
+				found = true;
+			}
+			else {
+				items[rule] = rules[rule];
+			}
+		}
+
+		if (! found) {
+			return;
+		}
+
+		vars.rules[vars.rules.length - 1] = items;
+		vars.collections.push({ key: this.validator_.key, rules: collection, options: this.validator_.options });
+
+		// initialize the error of the array itself
+		this.validator_.arrayIndex = null;
+		this.validator_.collection = true;
+		this.set_('errors.' + this.fieldKey_(), '');
+		this.validator_.collection = false;
+	},
+
+
+	/**
+	 * Run the rules that apply to the whole of an array, storing their errors in errors.$root (like: errors.$root.tags)
+	 *
+	 * @param {string} root
+	 * @param {string | null} key  Only check the rules registered for this key
+	 * @return {int} The number of errors detected
+	 */
+	checkCollections_(root, key = null)
+	{
+		var collections = this.validator_.vars[root].collections;
+		var errors = 0;
+
+		for (var x = 0; x < collections.length; x++) {
+			if (key !== null && ! pathsOverlap(key, collections[x].key)) {
+				continue;
+			}
+
+			this.validator_.root = root;
+			this.validator_.key = collections[x].key;
+			this.validator_.path = collections[x].key.length ? root + '.' + collections[x].key : root;
+			this.validator_.arrayIndex = null;
+			this.validator_.collection = true;
+
+			errors += this.runErrorCheckOnRules_(collections[x].rules, collections[x].options);
+			this.validator_.collection = false;
+		}
+
+		return errors;
+	},
+
+
+	/**
+	 * Every value of the array being checked at the registered key, for rules that apply to the whole array
+	 *
+	 * @return {array} (like: ['a@example.com', 'b@example.com'] for users.*.email)
+	 */
+	collectionValue_()
+	{
+		var array = this.valueAt_(this.validator_.root);
+		var indices = keysOf(array);
+		var values = [];
+
+		for (var x = 0; x < indices.length; x++) {
+			var keys = expandPath(array[indices[x]], this.validator_.key);
+			for (var y = 0; y < keys.length; y++) {
+				values.push(keys[y].length ? getPath(array[indices[x]], keys[y]) : array[indices[x]]);
+			}
+		}
+
+		return values;
+	},
+
+
+	/**
+	 * Save the current value of the variable being registered (every index of an array)
+	 * so it can be marked dirty once it changes
+	 *
+	 * @return {void}
+	 */
+	snapshotValues_()
+	{
+		var root = this.validator_.root;
+		var key = this.validator_.key;
+		this.validator_.arrayIndex = null;
+
+		if (! this.validator_.isArray) {
+			var keys = expandPath(this.valueAt_(root), key);
+			for (var x = 0; x < keys.length; x++) {
+				var path = keys[x].length ? root + '.' + keys[x] : root;
+				this.snapshot_(path, this.valueAt_(path));
+			}
+
+			return;
+		}
+
+		var array = this.valueAt_(root) || [];
+		var indices = keysOf(array);
+		for (var y = 0; y < indices.length; y++) {
+			var index = indices[y];
+			var keys = expandPath(array[index], key);
+			for (var x = 0; x < keys.length; x++) {
+				var field = root + '.' + index + (keys[x].length ? '.' + keys[x] : '');
+				this.snapshot_(field, keys[x].length ? getPath(array[index], keys[x]) : array[index]);
+			}
+		}
+	},
+
+
+	/**
+	 * Save the value of a field unless it was already saved
+	 *
+	 * @param {string} field  (like: users.1.email)
+	 * @param {mixed} value
+	 * @return {void}
+	 */
+	snapshot_(field, value)
+	{
+		if (! (field in this.validator_.initial)) {
+			this.validator_.initial[field] = serialize(value);
+		}
+	},
+
+
+	/**
+	 * Process for initializing errors object with array of empty strings
+	 *
+	 * @return {void} 
+	 */
+	initializeErrorArray()
+	{
+		this.validator_.value = this.valueAt_(this.validator_.root);
+
+		if (this.validator_.value !== null && typeof this.validator_.value === 'object' && ! isList(this.validator_.value)) {
+			// an object map gets an object of error messages keyed the same way
+			return this.initializeErrorMap_();
+		}
+
+		if (typeof this.errors[this.validator_.root] === 'undefined') {
+			this.set_('errors.' + this.validator_.root, []);
+		}
+
+		// choose the proper length to initialize errors array to 
+		if (this.validator_.arraySize) {
+			// if this argument was given during registration, use that
+			var length = this.validator_.arraySize;
+		}
+		else {
+			// otherwise go with the current length of the variable itself
+			var length = this.validator_.value.length
+		}
+
+		// create an error message for each index, keeping the messages of any other keys
+		// like: errors.players[x].name.firstname or errors.orders[x].lines[y].sku
+		for (var x = 0; x < length; x++) {
+			this.validator_.temp = blankErrors(this.validator_.value[x], this.validator_.key); // build a placeholder to insert
+			this.set_('errors.' + this.validator_.root + '.' + x, mergeErrors(this.errors[this.validator_.root][x], this.validator_.temp));
+		}
+
+		if (! (this.validator_.root in this.validator_.items)) {
+			// remember the items as they are now, so their errors can follow them around
+			var trackBy = this.validator_.vars[this.validator_.root].trackBy;
+			this.validator_.items[this.validator_.root] = Array.prototype.map.call(this.validator_.value, function(item) { return itemIdentity(item, trackBy); });
+		}
+	},
+
+
+	/**
+	 * Initialize the error messages of every entry in an object map (like: errors.prices['sku-1'].amount)
+	 *
+	 * @return {void}
+	 */
+	initializeErrorMap_()
+	{
+		var errors = this.errors[this.validator_.root];
+		if (errors === null || typeof errors !== 'object' || Array.isArray(errors)) {
+			errors = {};
+		}
+
+		var temp = {};
+		for (var key in this.validator_.value) {
+			// keep the messages of any other keys
+			temp[key] = mergeErrors(errors[key], blankErrors(this.validator_.value[key], this.validator_.key));
+		}
+
+		this.set_('errors.' + this.validator_.root, temp);
+	},
+
+
+
+	/**
+	 * Format the rules and store for this variable
+	 *
+	 * @return {object}
+	 */
+	addRules()
+	{
+		var rules = {};
+		var parsed = [];
+
+		// check everything before saving anything, so a mistake doesn't leave the variable half registered
+		this.addRuleList_(this.validator_.rules, [], rules, parsed);
+		this.checkKeyedMessages_(rules);
+
+		for (var x = 0; x < parsed.length; x++) {
+			this.saveRule_(parsed[x]);
+		}
+
+		return rules;
+	},
+
+
+	/**
+	 * Parse a list of rules into the given rules object, following any when() inside it
+	 *
+	 * @param {string | array | RegExp | object} list  (like: 'required|email' or ['required', when(...)])
+	 * @param {array} conditions  The predicates of every when() the list sits inside
+	 * @param {object} rules  Filled in with each rule and its arguments
+	 * @param {array} parsed  Filled in with what saveRule_() needs for each rule, in order
+	 * @return {void}
+	 */
+	addRuleList_(list, conditions, rules, parsed)
+	{
+		if (typeof list === 'string') {
+			list = list.split('|');
+		}
+		else if (! Array.isArray(list)) {
+			// a lone RegExp, function, { rule, args }, { rule, fn } or when() object
+			list = [list];
+		}
+
+		for (var x = 0; x < list.length; x++) {
+			if (isCondition(list[x])) {
+				this.addRuleList_(list[x].rules, conditions.concat([list[x].when]), rules, parsed);
+				continue;
+			}
+
+			// split rule and arguments apart (like: { rule: 'in', args: ['dog', 'cat', 'mouse'] })
+			var rule = this.parseRule_(list[x], parsed.length);
+
+			if (rule.rule in rules) {
+				// rules are keyed by name, so a second one would quietly replace the first
+				throw "The rule '" + rule.rule + "' is given more than once for " + this.validator_.path;
+			}
+
+			if (typeof rule.fn !== 'undefined') {
+				this.checkInlineRule_(rule.rule, rule.fn);
+			}
+			else {
+				this.validateRule(rule.rule);
+			}
+
+			rules[rule.rule] = rule.args;
+			parsed.push({ rule: rule.rule, fn: rule.fn, conditions: conditions });
+		}
+	},
+
+
+	/**
+	 * Save a parsed rule of the variable being registered, along with its error message
+	 *
+	 * @param {object} parsed  { rule, fn, conditions } (see addRuleList_())
+	 * @return {void}
+	 */
+	saveRule_(parsed)
+	{
+		var rule = parsed.rule;
+
+		if (typeof parsed.fn !== 'undefined') {
+			this.addInlineRule_(rule, parsed.fn);
+		}
+
+		if (parsed.conditions.length) {
+			this.addConditions_(rule, parsed.conditions);
+		}
+
+		if (modifierRules.indexOf(rule) !== -1) {
+			// never fails, so it doesn't take up one of the messages
+			return;
+		}
+
+		// save the error message for this rule
+		var msg = this.getErrorMessage(rule);
+		this.set_('validator_.errMsg.' + this.validator_.path + '.' + rule, msg);
+		this.validator_.count++;
+	},
+
+
+	/**
+	 * Save the when() predicates a rule of the variable being registered depends on
+	 *
+	 * @param {string} rule
+	 * @param {array} conditions  Functions or booleans
+	 * @return {void}
+	 */
+	addConditions_(rule, conditions)
+	{
+		var path = this.validator_.path;
+
+		if (typeof this.validator_.conditions[path] === 'undefined') {
+			this.validator_.conditions[path] = {};
+		}
+
+		this.validator_.conditions[path][rule] = conditions;
+	},
+
+
+	/**
+	 * Whether or not every one of the given when() predicates holds for a value
+	 *
+	 * @param {array} conditions  Functions or booleans
+	 * @param {mixed} value
+	 * @return {boolean}
+	 */
+	conditionsHold_(conditions, value)
+	{
+		var data = this.validator_.data === null ? this : this.validator_.data;
+
+		for (var x = 0; x < conditions.length; x++) {
+			var holds = typeof conditions[x] === 'function' ? conditions[x].call(this, value, data) : conditions[x];
+
+			if (! holds) {
+				return false;
+			}
+		}
+
+		return true;
+	},
+
+
+	/**
+	 * The names of the rules that apply to the variable being checked, in the order they were given
+	 *
+	 * A 'sometimes' field that is missing has none, a 'nullable' field that is null only has its required rules,
+	 * and the rules inside a when() only apply while its predicate holds
+	 *
+	 * @param {object} rules
+	 * @return {array}
+	 */
+	applicableRules_(rules)
+	{
+		if ('sometimes' in rules && ! this.validator_.collection && this.isAbsent_()) {
+			return [];
+		}
+
+		var nullable = 'nullable' in rules && this.validator_.value === null;
+		var conditions = this.validator_.conditions[this.registeredPath_()] || {};
+		var names = [];
+
+		for (var rule in rules) {
+			if (modifierRules.indexOf(rule) !== -1 || (nullable && implicitRules.indexOf(rule) === -1)) {
+				continue;
+			}
+
+			if (rule in conditions && ! this.conditionsHold_(conditions[rule], this.validator_.value)) {
+				continue;
+			}
+
+			names.push(rule);
+		}
+
+		return names;
+	},
+
+
+	/**
+	 * Whether or not the key of the variable being checked is missing from the object it belongs to
+	 *
+	 * @return {boolean}
+	 */
+	isAbsent_()
+	{
+		var field = this.fieldKey_().split('.');
+		var parent = this.validator_.data === null ? this : this.validator_.data;
+
+		if (field.length > 1) {
+			parent = this.valueAt_(field.slice(0, -1).join('.'));
+		}
+
+		if (parent === null || typeof parent !== 'object') {
+			return true;
+		}
+
+		return ! (field[field.length - 1] in parent);
+	},
+
+
+	/**
+	 * Make sure messages keyed by rule name only name rules that were given
+	 *
+	 * @param {object} rules
+	 * @return {void}
+	 */
+	checkKeyedMessages_(rules)
+	{
+		if (! this.hasKeyedMessages_()) {
+			return;
+		}
+
+		for (var rule in this.validator_.messages) {
+			if (! (rule in rules)) {
+				throw "There is a message for '" + rule + "' but it is not one of the rules for " + this.validator_.path;
+			}
+		}
+	},
+
+
+	/**
+	 * Whether or not the messages were given as an object keyed by rule name
+	 *
+	 * @return {boolean}
+	 */
+	hasKeyedMessages_()
+	{
+		var messages = this.validator_.messages;
+
+		return messages !== null && typeof messages === 'object' && ! Array.isArray(messages);
+	},
+
+
+	/**
+	 * Return the appropriate error message for this rule
+	 *
+	 * @param {string} rule
+	 * @return {string}
+	 */
+	getErrorMessage(rule)
+	{
+		if (this.hasKeyedMessages_() && rule in this.validator_.messages) {
+			return this.validator_.messages[rule];
+		}
+
+		if (this.hasKeyedMessages_() || ! this.validator_.messages.length) {
+			if (rule in this.validator_.defaultMessages) {
+				// custom rules can come with their own fallback
+				return this.validator_.defaultMessages[rule];
+			}
+
+			if (! (rule in this.validator_.validRules) && rule in customMessages) {
+				return customMessages[rule];
+			}
+
+			// use the locale's message for this rule when the error is set
+			return null;
+		}
+
+		if (typeof this.validator_.messages === 'string') {
+			return this.validator_.messages;
+		}
+
+		if (this.validator_.count >= this.validator_.messages.length) {
+			// use the last given one, it probably applies for both
+			return this.validator_.messages[this.validator_.messages.length - 1];
+		}
+
+		return this.validator_.messages[this.validator_.count];
+	},
+
+
+	/**
+	 * Split a single rule into its name and arguments
+	 *
+	 * @param {string | RegExp | object | function} rule  (like: 'in:dog,cat', /^a|b$/, { rule: 'in', args: ['dog', 'cat'] } or { rule: 'vowel', fn })
+	 * @param {int} position  Where the rule is in the list of rules for the variable, counting from 0
+	 * @return {object} { rule, args, fn }
+	 */
+	parseRule_(rule, position = 0)
+	{
+		if (typeof rule === 'string') {
+			// only the first colon separates the rule from its arguments
+			var index = rule.indexOf(':');
+			if (index === -1) {
+				// attach no arguments
+				return { rule: rule, args: [] };
+			}
+
+			var splitRule = [rule.substring(0, index), rule.substring(index + 1)];
+			return { rule: splitRule[0], args: this.formatArguments(splitRule) };
+		}
+
+		if (rule instanceof RegExp) {
+			return { rule: 'regex', args: rule };
+		}
+
+		if (typeof rule === 'function') {
+			// a function's own name can't be relied on (minifiers change it), so it goes by its position (like: fn_2)
+			return { rule: 'fn_' + position, args: [], fn: rule };
+		}
+
+		if (rule !== null && typeof rule === 'object' && typeof rule.rule === 'string') {
+			// arguments are used exactly as given
+			var args = typeof rule.args === 'undefined' ? [] : rule.args;
+			if (! Array.isArray(args) && ! (args instanceof RegExp)) {
+				args = [args];
+			}
+
+			if (typeof rule.fn !== 'undefined') {
+				return { rule: rule.rule, args: args, fn: rule.fn };
+			}
+
+			return { rule: rule.rule, args: args };
+		}
+
+		throw "One of the rules for " + this.validator_.path + " is not a string, RegExp, function, { rule, args } object, { rule, fn } object or when()";
+	},
+
+
+	/**
+	 * Make sure a function given directly as a rule can be saved under the name it was given
+	 *
+	 * @param {string} name  The name it was given (like: { rule: 'vowel', fn })
+	 * @param {function} fn
+	 * @return {void}
+	 */
+	checkInlineRule_(name, fn)
+	{
+		var path = this.validator_.path;
+
+		checkCustomRule(name, fn);
+
+		if (name in this.validator_.validRules || name in customRules) {
+			throw "'" + name + "' is already a rule, give the function for " + path + " a different name";
+		}
+
+		if (path in this.validator_.inlineRules && name in this.validator_.inlineRules[path]) {
+			throw "There is more than one rule named '" + name + "' for " + path + ", give the functions different names";
+		}
+	},
+
+
+	/**
+	 * Save a function given directly as a rule for the variable being registered (see checkInlineRule_())
+	 *
+	 * @param {string} name
+	 * @param {function} fn  Called with (value, args) and bound to the component
+	 * @return {void}
+	 */
+	addInlineRule_(name, fn)
+	{
+		var path = this.validator_.path;
+
+		if (typeof this.validator_.inlineRules[path] === 'undefined') {
+			this.validator_.inlineRules[path] = {};
+		}
+
+		this.validator_.inlineRules[path][name] = wrapRule(fn);
+	},
+
+
+	/**
+	 * Find the function behind a rule for the variable being checked
+	 *
+	 * @param {string} rule
+	 * @return {function}
+	 */
+	ruleFunction_(rule)
+	{
+		var inline = this.validator_.inlineRules[this.registeredPath_()];
+		if (inline && rule in inline) {
+			return inline[rule];
+		}
+
+		// the component's own rules come before the ones added with extend(), which can be added at any time
+		return rule in this.validator_.validRules ? this.validator_.validRules[rule] : customRules[rule];
+	},
+
+
+	/**
+	 * Parse and format the arguments given with each rule
+	 *
+	 * @param {array} rule (looks like: ['in', 'cat,dog,mouse'])
+	 * @return {array}
+	 */
+	formatArguments(rule)
+	{
+		if (rule[0] === 'regex' || rule[0] === 'not_regex') {
+			// regex could have commas
+			return rule[1];
+		}
+		else if (rule[0] === 'date_format') {
+			// so could a date format
+			return [rule[1]];
+		}
+		else if (dateRules.indexOf(rule[0]) !== -1 || stringArgRules.indexOf(rule[0]) !== -1) {
+			// dates like 2024-03-01 would otherwise turn into 2024, and prefixes like 007 into 7
+			return rule[1].split(',');
+		}
+		else if (comparisonRules.indexOf(rule[0]) !== -1) {
+			// anything that looks like a number is one (0 included), anything else is the path of another field
+			return rule[1].split(',').map(function(arg) { return isNumeric(arg) ? Number(arg) : arg; });
+		}
+		else {
+			var args = rule[1].split(','); 
+		}
+		for (var arg in args) {
+			// if they're able to convert to integers, do so
+			if (parseFloat(args[arg])) {
+				args[arg] = parseFloat(args[arg]);
+			}
+		}
+
+		return args;
+	},
+
+
+	/**
+	 * Add a custom rule that only this component can use
+	 *
+	 * @param {string} name  The name to use in rule strings (like: 'postal_code')
+	 * @param {function} fn  Called with (value, args), returns whether or not the value passes
+	 * @param {string} defaultMessage  Error message to use when none are given during registration
+	 * @return {void}
+	 */
+	extendRules(name, fn, defaultMessage = null)
+	{
+		checkCustomRule(name, fn);
+
+		this.validator_.validRules[name] = wrapRule(fn);
+
+		if (defaultMessage !== null) {
+			this.validator_.defaultMessages[name] = defaultMessage;
+		}
+		else {
+			delete this.validator_.defaultMessages[name];
+		}
+	},
+
+
+	/**
+	 * Make sure the given rule is valid before assigning it
+	 *
+	 * @param {string} rule
+	 * @return {void}
+	 */
+	validateRule(rule)
+	{
+		if(! (rule in this.validator_.validRules) && ! (rule in customRules)) {
+			if (rule === '') {
+				throw "There is a trailing '|' or duplicate '||' in the rules for " + this.validator_.path;
+			}
+			else {
+				throw "'" + rule + "' is not a valid rule";
+			}
+		}
+	},
+
+
+	/**
+	 * When registering a variable whose root has already been registered,
+	 * make sure there won't be conflicts with its array status
+	 *
+	 * @return {boolean}
+	 */
+	checkForConflicts()
+	{
+		if (this.validator_.isArray && ! this.validator_.vars[this.validator_.root].isArray) {
+			throw "'" + this.validator_.path + "' was not previously registered as an array"
+			return true;
+		}
+		else if (! this.validator_.isArray && this.validator_.vars[this.validator_.root].isArray) {
+			throw "'" + this.validator_.path + "' was already saved for error checking as an array"
+			return true;
+		}
+
+		return false;
+	},
+
+
+	/**
+	 * Find the paths of the other fields that a set of cross-field rules depend on
+	 *
+	 * @param {object} rules  Formatted rules (like: { same: ['password'] })
+	 * @return {array}
+	 */
+	referencedPaths_(rules)
+	{
+		var others = [];
+
+		for (var rule in rules) {
+			if (rule === 'confirmed') {
+				others.push(this.resolveOtherPath_(this.confirmationPath_()));
+			}
+			else if (rule === 'same' || rule === 'different' || rule === 'required_if' || rule === 'required_unless') {
+				// only the first argument is a path
+				others.push(this.resolveOtherPath_(rules[rule][0]));
+			}
+			else if (rule === 'required_with' || rule === 'required_without') {
+				for (var x = 0; x < rules[rule].length; x++) {
+					others.push(this.resolveOtherPath_(rules[rule][x]));
+				}
+			}
+			else if (comparisonRules.indexOf(rule) !== -1) {
+				if (! isNumeric(rules[rule][0])) {
+					others.push(this.resolveOtherPath_(rules[rule][0]));
+				}
+			}
+			else if (dateRules.indexOf(rule) !== -1) {
+				// only the arguments that aren't dates themselves
+				var format = 'date_format' in rules ? rules.date_format[0] : null;
+				for (var x = 0; x < rules[rule].length; x++) {
+					if (! isDateLiteral(rules[rule][x], format)) {
+						others.push(this.resolveOtherPath_(rules[rule][x]));
+					}
+				}
+			}
+		}
+
+		return others;
+	},
+
+
+	/**
+	 * Turn a path given as a rule argument into the full path of that field
+	 *
+	 * A '*' means the array index currently being checked, a key that exists next to
+	 * the field being checked means that sibling, anything else starts from the component
+	 *
+	 * @param {string} other  (like: password, users.*.password)
+	 * @return {string}
+	 */
+	resolveOtherPath_(other)
+	{
+		other = String(other);
+
+		if (other.indexOf('*') !== -1) {
+			// each '*' stands for the key at the same spot in the field being checked (like: orders.1.lines.2.sku)
+			var field = this.fieldKey_().split('.');
+			var index = this.validator_.arrayIndex;
+
+			return other.split('.').map(function(key, x) {
+				return key === '*' ? (x < field.length ? field[x] : index) : key;
+			}).join('.');
+		}
+
+		var field = this.fieldKey_().split('.');
+		if (field.length > 1) {
+			var parent = field.slice(0, -1).join('.');
+			var siblings = this.valueAt_(parent);
+
+			if (siblings !== null && typeof siblings === 'object' && other.split('.')[0] in siblings) {
+				return parent + '.' + other;
+			}
+		}
+
+		return other;
+	},
+
+
+	/**
+	 * The name of the field that a 'confirmed' rule compares against
+	 *
+	 * @return {string} (like: password_confirmation)
+	 */
+	confirmationPath_()
+	{
+		return this.fieldKey_().split('.').pop() + '_confirmation';
+	},
+
+
+	/**
+	 * Fetch the value of a variable, from the component or the data given to an Engine
+	 *
+	 * @param {string} path  (like: users.1.email)
+	 * @return {mixed}
+	 */
+	valueAt_(path)
+	{
+		return getPath(this.validator_.data === null ? this : this.validator_.data, path);
+	},
+
+
+	/**
+	 * Fetch the value of another field given as a rule argument
+	 *
+	 * @param {string} other
+	 * @return {mixed}
+	 */
+	otherValue_(other)
+	{
+		return this.valueAt_(this.resolveOtherPath_(other));
+	},
+
+
+	/**
+	 * Whether or not a value counts as filled in for cross-field rules
+	 *
+	 * @param {mixed} value
+	 * @return {boolean}
+	 */
+	isFilled_(value)
+	{
+		if (typeof value === 'undefined' || value === null) {
+			return false;
+		}
+
+		if (typeof value === 'string' || isList(value)) {
+			return value.length > 0;
+		}
+
+		return true;
+	},
+
+
+	/**
+	 * Whether or not another field equals one of the given values
+	 *
+	 * @param {array} args  The other field followed by the values (like: ['country', 'US', 'CA'])
+	 * @return {boolean}
+	 */
+	otherFieldIn_(args)
+	{
+		var other = this.otherValue_(args[0]);
+
+		for (var x = 1; x < args.length; x++) {
+			if (String(other) === String(args[x])) {
+				return true;
+			}
+		}
+
+		return false;
+	},
+
+
+	/**
+	 * The size of a value as min, max and friends see it
+	 *
+	 * Numbers are their own size, and so are numeric strings when the variable has a numeric or integer rule,
+	 * files go by kilobytes, other strings and arrays by their length and other objects by their number of keys
+	 *
+	 * @param {mixed} value
+	 * @return {number | null} null when the value doesn't have a size
+	 */
+	sizeOf_(value)
+	{
+		if (typeof value === 'number') {
+			return value;
+		}
+
+		if (isFile(value)) {
+			return value.size / 1024;
+		}
+
+		if (typeof value === 'string') {
+			return this.isNumericField_() && isNumeric(value) ? Number(value) : value.length;
+		}
+
+		if (value !== null && typeof value === 'object') {
+			return keysOf(value).length;
+		}
+
+		return null;
+	},
+
+
+	/**
+	 * Whether or not the variable being checked has a numeric or integer rule
+	 *
+	 * @return {boolean}
+	 */
+	isNumericField_()
+	{
+		var rules = this.validator_.fieldRules;
+
+		return rules !== null && ('numeric' in rules || 'integer' in rules);
+	},
+
+
+	/**
+	 * The value a gt, gte, lt or lte rule compares against
+	 *
+	 * @param {mixed} other  A number (like: 0 or '0'), or the path of another field
+	 * @return {mixed}
+	 */
+	comparedValue_(other)
+	{
+		if (isNumeric(other)) {
+			return Number(other);
+		}
+
+		return this.otherValue_(other);
+	},
+
+
+	/**
+	 * Compare the size of the variable against the size of another field, or a number
+	 *
+	 * @param {mixed} other
+	 * @param {function} compare  Given both sizes
+	 * @return {boolean}
+	 */
+	compareSizes_(other, compare)
+	{
+		if (this.validator_.value === '') {
+			// let 'required' rule take care of any empty variables
+			return true;
+		}
+
+		var size = this.sizeOf_(this.validator_.value);
+		var otherSize = this.sizeOf_(this.comparedValue_(other));
+
+		if (size === null || otherSize === null) {
+			return false;
+		}
+
+		return compare(size, otherSize);
+	},
+
+
+	/**
+	 * Run a test on the variable as a file, letting empty values through for the 'required' rule
+	 *
+	 * A FileList (like: the files of an <input type="file">) passes when every file in it does
+	 *
+	 * @param {function} test  Given the file, returns whether or not it passes
+	 * @return {boolean | Promise}
+	 */
+	checkFile_(test)
+	{
+		var value = this.validator_.value;
+
+		if (value === '' || value === null || typeof value === 'undefined') {
+			return true;
+		}
+
+		if (! isFileList(value)) {
+			return isFile(value) && test(value);
+		}
+
+		var results = Array.prototype.map.call(value, test);
+
+		var waiting = results.some(function(result) { return result && typeof result.then === 'function'; });
+
+		if (! waiting) {
+			return results.every(Boolean);
+		}
+
+		return Promise.all(results).then(function(passed) { return passed.every(Boolean); });
+	},
+
+
+	/**
+	 * Parse the arguments of a dimensions rule
+	 *
+	 * @param {array} args  (like: ['min_width=100', 'ratio=3/2'])
+	 * @return {object} (like: { min_width: 100, ratio: 1.5 })
+	 */
+	dimensionConstraints_(args)
+	{
+		var constraints = {};
+
+		for (var x = 0; x < args.length; x++) {
+			var pair = String(args[x]).split('=');
+			var name = pair[0].trim();
+
+			if (['width', 'height', 'min_width', 'min_height', 'max_width', 'max_height', 'ratio'].indexOf(name) === -1 || pair.length !== 2) {
+				throw "'" + args[x] + "' is not a constraint of the dimensions rule for " + this.validator_.path;
+			}
+
+			var limit = pair[1].split('/');
+			constraints[name] = limit.length === 2 ? Number(limit[0]) / Number(limit[1]) : Number(limit[0]);
+		}
+
+		return constraints;
+	},
+
+
+	/**
+	 * Run a test on the variable as a string, letting empty strings through for the 'required' rule
+	 *
+	 * @param {function} test  Given the string, returns whether or not it passes
+	 * @return {boolean}
+	 */
+	checkString_(test)
+	{
+		var value = this.validator_.value;
+
+		if (value === '') {
+			return true;
+		}
+
+		if (typeof value !== 'string' && typeof value !== 'number') {
+			return false;
+		}
+
+		return test(String(value));
+	},
+
+
+	/**
+	 * Compare the variable, as a date, against a date, keyword or other field
+	 *
+	 * @param {mixed} other  (like: 2024-03-01, tomorrow or starts_at)
+	 * @param {function} compare  Given both dates in milliseconds
+	 * @return {boolean}
+	 */
+	compareDates_(other, compare)
+	{
+		if (this.validator_.value === '') {
+			// let 'required' rule take care of any empty variables
+			return true;
+		}
+
+		var value = this.toDate_(this.validator_.value);
+		var date = this.datePoint_(other);
+
+		if (value === null || date === null) {
+			return false;
+		}
+
+		return compare(value.getTime(), date.getTime());
+	},
+
+
+	/**
+	 * The date an argument of a date rule stands for
+	 *
+	 * @param {mixed} other  A date, a keyword (now, today, tomorrow or yesterday) or the path of another field
+	 * @return {Date | null}
+	 */
+	datePoint_(other)
+	{
+		if (typeof other === 'string' && dateKeywords.hasOwnProperty(other)) {
+			return dateKeywords[other]();
+		}
+
+		var date = this.toDate_(other);
+
+		return date === null ? this.toDate_(this.otherValue_(other)) : date;
+	},
+
+
+	/**
+	 * Read a value as a date, in the date_format of the variable being checked or as ISO 8601
+	 *
+	 * @param {mixed} value
+	 * @return {Date | null}
+	 */
+	toDate_(value)
+	{
+		var format = this.fieldDateFormat_();
+		var date = format === null ? null : parseDate(value, format);
+
+		return date === null ? parseDate(value) : date;
+	},
+
+
+	/**
+	 * The date_format the variable being checked was registered with, if any
+	 *
+	 * @return {string | null}
+	 */
+	fieldDateFormat_()
+	{
+		var rules = this.validator_.fieldRules;
+
+		return rules !== null && 'date_format' in rules ? String(rules.date_format[0]) : null;
+	},
+
+
+	/**
+	 * Create errors.variable object, developer will set/clear as they see fit
+	 *
+	 * @param {string} variable  (like: location.city.name)
+	 * @param {string} msg  Error message to set right now
+	 * @return {void}
+	 */
+	manualErrorChecking(variable, msg = '')
+	{
+		this.validator_.root = variable.split('.')[0];
+		if (typeof this.validator_.vars[this.validator_.root] !== 'undefined') {
+			throw "Automatic error checking on '" + this.validator_.root + "' has been registered already"
+			return;
+		}
+
+		this.set_('errors.' + variable, msg);
+	},
+
+
+	/**
+	 * Run error checks on a given variable or every variable
+	 *
+	 * @param {string | null} variable
+	 * @return {int} The number of errors detected
+	 */
+	errorCheck(variable = null)
+	{
+		var errors = 0;
+		this.validator_.promises = [];
+		
+		if (variable === null) {
+			// check all
+			for (variable in this.validator_.vars) {
+				errors += this.errorCheckSpecific(variable);
+			}
+		}
+		else {
+			errors = this.errorCheckSpecific(variable);
+		}
+
+		return errors;
+	},
+
+
+	/**
+	 * Run error checks like errorCheck(), but wait for any asynchronous rules to settle
+	 *
+	 * @param {string | null} variable
+	 * @return {Promise} Resolves with the number of errors detected, or rejects with the error of a rule that couldn't be checked
+	 */
+	errorCheckAsync(variable = null)
+	{
+		var errors = this.errorCheck(variable);
+		var promises = this.validator_.promises.map(function(pending) {
+			return pending.errors.then(function(count) {
+				if ('error' in pending.check) {
+					throw pending.check.error;
+				}
+
+				return count;
+			});
+		});
+		this.validator_.promises = [];
+
+		return Promise.all(promises).then(function(results) {
+			for (var x = 0; x < results.length; x++) {
+				errors += results[x];
+			}
+
+			return errors;
+		});
+	},
+
+
+	/**
+	 * Whether or not any asynchronous rules are still running for a variable or any variable
+	 *
+	 * @param {string | null} variable  (like: users, users.1 or users.1.email)
+	 * @return {boolean}
+	 */
+	isPending(variable = null)
+	{
+		for (var field in this.validator_.pending) {
+			if (variable === null || field === variable || field.indexOf(variable + '.') === 0) {
+				return true;
+			}
+		}
+
+		return false;
+	},
+
+
+	/**
+	 * Refine the error check down to a specific variable, index, and/or key
+	 *
+	 * @param {string} variable 
+	 * @return {int} The number of errors detected
+	 */
+	errorCheckSpecific(variable)
+	{
+		// split into an array
+		variable = variable.split('.');
+		this.validator_.root = variable[0];
+
+		if (variable[0] === '$root' && variable.length > 1) {
+			// just the rules that apply to an array itself (like: $root.tags)
+			this.validator_.root = variable[1];
+			if (! this.checkRootWasRegistered()) {
+				return 1;
+			}
+
+			return this.checkCollections_(variable[1], variable.slice(2).join('.') || null);
+		}
+
+		if (! this.checkRootWasRegistered()) {
+			return 1;
+		}
+
+		if (this.validator_.vars[this.validator_.root].isArray) {
+			return this.errorCheckArray_(variable)
+		}
+		else {
+			this.validator_.arrayIndex = null;
+		}
+
+		if (variable.length > 1) {
+			this.validator_.key = variable.splice(1).join('.');
+			return this.checkSpecificKey_(this.validator_.key);
+		}
+		else {
+			this.validator_.key = '';
+			return this.checkAllKeys_();
+		}
+	},
+
+
+
+	/**
+	 * The variable being checked is an array, loop through its contents and check indices
+	 *
+	 * @param {array} variable
+	 * @return {int} The number of errors detected
+	 */
+	errorCheckArray_(variable)
+	{
+		// make sure this.errors lines up with the items in the array
+		this.alignItems_(this.validator_.root);
+
+		this.validator_.value = this.valueAt_(this.validator_.root);
+		var root = this.validator_.root;
+
+		if (! keysOf(this.validator_.value).length) {
+			// there are no items, only the array itself can have errors
+			return variable.length > 1 && variable[1] !== '*' ? 0 : this.checkCollections_(root, variable.slice(2).join('.') || null);
+		}
+
+		// are there indices past the root variable?
+		if (variable.length > 1) {
+
+			if (variable[1] === '*') {
+				// something like players.*.email, the same as players.email
+				var key = variable.slice(2).join('.') || null;
+				return this.checkWholeArray_(key) + this.checkCollections_(root, key);
+			}
+
+			// is it something like players.1.email or prices.sku-1.amount?
+			var map = ! isList(this.validator_.value);
+			if (map ? variable[1] in this.validator_.value : /^[0-9]+$/.test(variable[1])) {
+				this.validator_.arrayIndex = map ? variable[1] : parseInt(variable[1]);
+				var key = variable.slice(2).join('.');
+				if (! key.length) {
+					// check all keys at this index
+					return this.checkAllKeys_();
+				}
+
+				// a given key at this index
+				return this.checkSpecificKey_(key);
+			}
+			else {
+				// check every index of the array but at a specific key value
+				var key = variable.slice(1).join('.');
+				return this.checkWholeArray_(key) + this.checkCollections_(root, key);
+			}
+		}
+		else {
+			// check everything in the array, and the array itself
+			return this.checkWholeArray_() + this.checkCollections_(root);
+		}
+	},
+
+
+	/**
+	 * Run error checks on just a specific key of the root variable
+	 *
+	 * @param {string} key
+	 * @return {int} The number of errors detected
+	 */
+	checkSpecificKey_(key)
+	{
+		var keys = this.validator_.vars[this.validator_.root].keys;
+
+		// convert key string to an index into keys array for this variable
+		var index = keys.indexOf(key);
+		if (index !== -1 && key.indexOf('*') === -1) {
+			return this.checkKeyAt_(index, key);
+		}
+
+		// the key could be (part of) a registered key with wildcards, like lines.* or lines.2.sku for lines.*.sku
+		var value = this.valueAt_(this.validator_.root);
+		if (this.validator_.arrayIndex !== null) {
+			value = value[this.validator_.arrayIndex];
+		}
+
+		var errors = 0;
+		var registered = false;
+		for (index = 0; index < keys.length; index++) {
+			if (keys[index].indexOf('*') === -1 || ! pathsOverlap(key, keys[index])) {
+				continue;
+			}
+
+			registered = true;
+			var fields = expandPath(value, keys[index]);
+			for (var x = 0; x < fields.length; x++) {
+				if (fieldMatches(key, fields[x])) {
+					errors += this.checkKeyAt_(index, fields[x]);
+				}
+			}
+		}
+
+		if (! registered) {
+			throw "'" + key +  "' in '" + this.validator_.root + "' was never registered";
+			return 1;
+		}
+
+		return errors;
+	},
+
+
+	/**
+	 * Run the rules registered at an index of the root variable's keys on one field
+	 *
+	 * @param {int} index  Which of the registered keys
+	 * @param {string} key  The key itself, with any wildcards filled in (like: lines.2.sku)
+	 * @return {int} The number of errors detected
+	 */
+	checkKeyAt_(index, key)
+	{
+		this.validator_.key = key;
+
+		// build path to this variable
+		if (key.length) {
+			this.validator_.path = this.validator_.root + '.' + key;
+		}
+		else {
+			this.validator_.path = this.validator_.root;
+		}
+
+		// return the result of error checking
+		return this.runErrorCheckOnRules_(this.validator_.vars[this.validator_.root].rules[index], this.validator_.vars[this.validator_.root].options[index]);
+	},
+
+
+	/**
+	 * Check every index of the array
+	 *
+	 * @param {string | null} key
+	 * @return {int} The number of errors detected
+	 */
+	checkWholeArray_(key = null)
+	{
+		var errors = 0;
+		var currentVal = this.validator_.value;
+		var indices = keysOf(currentVal);
+
+		// loop through every entry in the array variable (or object map)
+		for (var x = 0; x < indices.length; x++) {
+			this.validator_.arrayIndex = isList(currentVal) ? x : indices[x];
+
+			if (! key) {
+				// no given key, check them all
+				errors += this.checkAllKeys_();
+			}
+			else {
+				// check only given key every iteration
+				errors += this.checkSpecificKey_(key);
+			}
+		}
+
+		return errors;
+	},
+
+
+
+	/**
+	 * Loop through and check all of the regsitered keys
+	 *
+	 * @return {int} The number of errors detected
+	 */
+	checkAllKeys_()
+	{
+		var errors = 0;
+		for (var key in this.validator_.vars[this.validator_.root].keys) {
+			// run a set of rules and save outcome
+			errors += this.checkSpecificKey_(this.validator_.vars[this.validator_.root].keys[key]);
+		}
+
+		return errors;
+	},
+
+
+	/**
+	 * Call every rule function bound to this variable
+	 *
+	 * @param {object} rules
+	 * @param {object} options  The options given when registering this variable
+	 * @return {int} The number of errors detected (async rules are counted by errorCheckAsync())
+	 */
+	runErrorCheckOnRules_(rules, options = {})
+	{
+		// save the value
+		if (this.validator_.collection) {
+			this.validator_.value = this.collectionValue_();
+		}
+		else if (this.validator_.arrayIndex === null) {
+			this.validator_.value = this.valueAt_(this.validator_.path);
+		}
+		else {
+			this.validator_.value = this.fetchValueOfArray();
+		}
+
+		this.validator_.fieldRules = rules;
+
+		// any check still running on this field is now stale
+		var field = this.fieldKey_();
+		var id = ++this.validator_.checkCount;
+		this.validator_.checkIds[field] = id;
+
+		this.snapshot_(field, this.validator_.value);
+		this.setFlags_(field, {
+			dirty: serialize(this.validator_.value) !== this.validator_.initial[field],
+			validated: true,
+		});
+
+		var check = {
+			rules: rules,
+			names: this.applicableRules_(rules), 	// the names of the rules to run in the order they were given
+			field: field, 							// the errors path being checked (like: users.1.email)
+			id: id, 										// compared against the latest to spot stale results
+			bail: 'bail' in rules || (typeof options.bail === 'boolean' ? options.bail : this.validator_.bail),
+			options: options,
+			failures: [], 							// every rule that has failed so far (like: [{ rule, args }])
+		};
+
+		var errors = this.runRules_(check, 0);
+
+		if (errors instanceof Promise) {
+			this.validator_.latest[field] = errors;
+			this.validator_.promises.push({ errors: errors, check: check });
+			this.setPending_(field, true);
+			return 0;
+		}
+
+		this.validator_.latest[field] = errors;
+		this.setPending_(field, false);
+		return errors;
+	},
+
+
+	/**
+	 * Run the rules from a given position onwards, pausing at any rule that returns a promise
+	 *
+	 * @param {object} check  Everything about the check in progress (see runErrorCheckOnRules_())
+	 * @param {int} start  Which rule to start at
+	 * @return {int | Promise} The number of errors detected
+	 */
+	runRules_(check, start)
+	{
+		for (var x = start; x < check.names.length; x++) {
+			var rule = check.names[x];
+			var result = this.ruleFunction_(rule).call(this, check.rules[rule]);
+
+			if (result && typeof result.then === 'function') {
+				return this.waitForRule_(result, check, x);
+			}
+
+			if (! result) {
+				check.failures.push({ rule: rule, args: check.rules[rule] });
+
+				if (check.bail) {
+					break; // no sense in continuing if it has failed a check already
+				}
+			}
+		}
+
+		return this.finishRules_(check);
+	},
+
+
+	/**
+	 * Wait for an asynchronous rule, then pick up where runRules_() left off
+	 *
+	 * @param {Promise} result  What the rule returned
+	 * @param {object} check
+	 * @param {int} index  Which rule returned the promise
+	 * @return {Promise} Resolves with the number of errors detected, a rule that rejects counting as failed
+	 */
+	waitForRule_(result, check, index)
+	{
+		var state = this.saveState_();
+		var self = this;
+
+		var rule = check.names[index];
+
+		return Promise.resolve(result).then(function(passed) {
+			if (self.validator_.checkIds[check.field] !== check.id) {
+				// the value changed while waiting, defer to the newer check
+				return self.newerResult_(check);
+			}
+
+			self.restoreState_(state);
+
+			if (! passed) {
+				check.failures.push({ rule: rule, args: check.rules[rule] });
+
+				if (check.bail) {
+					return self.finishRules_(check);
+				}
+			}
+
+			return self.runRules_(check, index + 1);
+		}).then(null, function(error) {
+			if (self.validator_.checkIds[check.field] !== check.id) {
+				return self.newerResult_(check);
+			}
+
+			// a rule that couldn't be checked (like: the server is down) fails, and errorCheckAsync() passes the error on
+			self.restoreState_(state);
+			check.error = error;
+			check.failures.push({ rule: rule, args: check.rules[rule] });
+
+			return self.finishRules_(check);
+		}).then(function(errors) {
+			if (self.validator_.checkIds[check.field] === check.id) {
+				self.setPending_(check.field, false);
+			}
+
+			return errors;
+		});
+	},
+
+
+	/**
+	 * What a stale check resolves with: the outcome of the newer check on its field,
+	 * or no errors once there isn't one (like: after resetErrorChecking() or once its item was removed)
+	 *
+	 * @param {object} check
+	 * @return {int | Promise}
+	 */
+	newerResult_(check)
+	{
+		var latest = this.validator_.latest[check.field];
+
+		return typeof latest === 'undefined' ? 0 : latest;
+	},
+
+
+	/**
+	 * Set or clear the error on a variable once all of its rules have run
+	 *
+	 * @param {object} check
+	 * @return {int} The number of errors detected
+	 */
+	finishRules_(check)
+	{
+		if (! check.failures.length) {
+			this.clearError_();
+			return 0;
+		}
+
+		this.failRules_(check.failures, check.options);
+		return 1;
+	},
+
+
+	/**
+	 * Record every failed rule in the error bag and show the first one in this.errors
+	 *
+	 * Failed rules are held back until the field's flags allow them to be shown (see showErrorsWhen)
+	 *
+	 * @param {array} failures  (like: [{ rule: 'min', args: [8] }])
+	 * @param {object} options  The options given when registering this variable
+	 * @return {void}
+	 */
+	failRules_(failures, options = {})
+	{
+		var field = this.fieldKey_();
+
+		// remember what failed in case the messages need to be shown or re-rendered later
+		var failed = this.saveState_();
+		failed.failures = failures;
+		failed.options = options;
+		this.validator_.failed[field] = failed;
+
+		if (! this.shouldShowErrors_(field, options)) {
+			this.hideError_();
+			return;
+		}
+
+		var bag = [];
+
+		for (var x = 0; x < failures.length; x++) {
+			bag.push({ rule: failures[x].rule, message: this.errorMessage_(failures[x].rule, failures[x].args) });
+		}
+
+		this.setBagEntry_(field, bag);
+
+		this.setError_(failures[0].rule, failures[0].args);
+	},
+
+
+	/**
+	 * Replace (or with null, remove) the error bag entry for a field
+	 *
+	 * @param {string} field  (like: users.1.email)
+	 * @param {array | null} entries
+	 * @return {void}
+	 */
+	setBagEntry_(field, entries)
+	{
+		if (entries === null && ! (field in this.errorBag)) {
+			return;
+		}
+
+		// replace the whole object so the change is reactive, keeping fields in the order they first failed
+		var bag = {};
+		for (var key in this.errorBag) {
+			if (key !== field) {
+				bag[key] = this.errorBag[key];
+			}
+			else if (entries !== null) {
+				bag[key] = entries;
+			}
+		}
+
+		if (entries !== null) {
+			bag[field] = entries;
+		}
+
+		this.errorBag = bag;
+	},
+
+
+	/**
+	 * Whether or not a field's flags allow its failed rules to be shown
+	 *
+	 * @param {string} field  (like: users.1.email)
+	 * @param {object} options  The options given when registering this variable
+	 * @return {boolean}
+	 */
+	shouldShowErrors_(field, options)
+	{
+		var when = options.showErrorsWhen ? options.showErrorsWhen : this.validator_.showErrorsWhen;
+
+		if (when === 'always') {
+			return true;
+		}
+
+		return this.fieldState(field)[when];
+	},
+
+
+	/**
+	 * Make sure showErrorsWhen is something that can be checked
+	 *
+	 * @param {string} when
+	 * @return {string}
+	 */
+	checkShowErrorsWhen_(when)
+	{
+		if (['always', 'dirty', 'touched'].indexOf(when) === -1) {
+			throw "'" + when + "' is not a valid value for showErrorsWhen, use 'always', 'dirty' or 'touched'";
+		}
+
+		return when;
+	},
+
+
+	/**
+	 * Hold back failed rules until fields are dirty or touched, for every variable that doesn't say otherwise
+	 *
+	 * @param {string} when  always, dirty or touched
+	 * @return {void}
+	 */
+	setShowErrorsWhen(when)
+	{
+		this.validator_.showErrorsWhen = this.checkShowErrorsWhen_(when);
+		this.rerenderErrors_();
+	},
+
+
+	/**
+	 * The dirty, touched, pristine and validated flags of a field
+	 *
+	 * @param {string} field  (like: name or users.1.email)
+	 * @return {object}
+	 */
+	fieldState(field)
+	{
+		if (field in this.fieldFlags) {
+			return this.fieldFlags[field];
+		}
+
+		return { dirty: false, touched: false, pristine: true, validated: false };
+	},
+
+
+	/**
+	 * Mark a field as touched (like: on blur) and show any errors that were held back
+	 *
+	 * Lazy fields, and fields with a debounced check still waiting, are checked right away
+	 *
+	 * @param {string} field  (like: name or users.1.email)
+	 * @return {void}
+	 */
+	touch(field)
+	{
+		this.setFlags_(field, { touched: true });
+
+		if (field in this.validator_.timers || this.isLazy_(field)) {
+			this.cancelCheck_(field);
+			this.errorCheck(field);
+			return;
+		}
+
+		if (field in this.validator_.failed) {
+			var state = this.saveState_();
+			this.restoreState_(this.validator_.failed[field]);
+			this.failRules_(this.validator_.failed[field].failures, this.validator_.failed[field].options);
+			this.restoreState_(state);
+		}
+	},
+
+
+	/**
+	 * Update the flags of a field, dirty and touched stay set once they are
+	 *
+	 * @param {string} field
+	 * @param {object} flags  (like: { dirty: true })
+	 * @return {void}
+	 */
+	setFlags_(field, flags)
+	{
+		var current = this.fieldState(field);
+		var updated = {
+			dirty: current.dirty || !! flags.dirty,
+			touched: current.touched || !! flags.touched,
+			validated: current.validated || !! flags.validated,
+		};
+		updated.pristine = ! updated.dirty;
+
+		if (field in this.fieldFlags && updated.dirty === current.dirty && updated.touched === current.touched && updated.validated === current.validated) {
+			return;
+		}
+
+		// replace the whole object so the change is reactive
+		var temp = {};
+		for (var key in this.fieldFlags) {
+			temp[key] = this.fieldFlags[key];
+		}
+		temp[field] = updated;
+
+		this.fieldFlags = temp;
+	},
+
+
+	/**
+	 * Wrap the error bag with helpers for querying it (has, first, get, all, any, count)
+	 *
+	 * @return {MessageBag}
+	 */
+	messageBag()
+	{
+		return new MessageBag(this.errorBag);
+	},
+
+
+	/**
+	 * Stop or keep going after the first failed rule for every variable that doesn't say otherwise
+	 *
+	 * @param {boolean} bail
+	 * @return {void}
+	 */
+	setBail(bail)
+	{
+		this.validator_.bail = bail;
+	},
+
+
+	/**
+	 * The path into this.errors for the variable being checked
+	 *
+	 * @return {string} (like: users.1.email)
+	 */
+	fieldKey_()
+	{
+		if (this.validator_.collection) {
+			// the array itself (like: $root.tags or $root.users.email for users.*.email)
+			return '$root.' + this.validator_.path.split('.').filter(function(key) { return key !== '*'; }).join('.');
+		}
+
+		if (this.validator_.arrayIndex === null) {
+			return this.validator_.path;
+		}
+
+		var field = this.validator_.root + '.' + this.validator_.arrayIndex;
+
+		return this.validator_.key.length ? field + '.' + this.validator_.key : field;
+	},
+
+
+	/**
+	 * Copy the parts of validator_ needed to set errors on a variable later on
+	 *
+	 * @return {object}
+	 */
+	saveState_()
+	{
+		return {
+			value: this.validator_.value,
+			path: this.validator_.path,
+			root: this.validator_.root,
+			key: this.validator_.key,
+			arrayIndex: this.validator_.arrayIndex,
+			collection: this.validator_.collection,
+			fieldRules: this.validator_.fieldRules,
+		};
+	},
+
+
+	/**
+	 * Put back the state copied by saveState_()
+	 *
+	 * @param {object} state
+	 */
+	restoreState_(state)
+	{
+		this.validator_.value = state.value;
+		this.validator_.path = state.path;
+		this.validator_.root = state.root;
+		this.validator_.key = state.key;
+		this.validator_.arrayIndex = state.arrayIndex;
+		this.validator_.collection = !! state.collection;
+		this.validator_.fieldRules = state.fieldRules || null;
+	},
+
+
+	/**
+	 * Flag whether or not a field is waiting on an asynchronous rule
+	 *
+	 * @param {string} field
+	 * @param {boolean} pending
+	 */
+	setPending_(field, pending)
+	{
+		if (!! this.validator_.pending[field] === pending) {
+			return;
+		}
+
+		// replace the whole object so the change is reactive
+		var temp = {};
+		for (var key in this.validator_.pending) {
+			if (key !== field) {
+				temp[key] = true;
+			}
+		}
+
+		if (pending) {
+			temp[field] = true;
+		}
+
+		this.validator_.pending = temp;
+	},
+
+
+
+	/**
+	 * Fetch the value and path of the variable
+	 */
+	fetchValueOfArray(key)
+	{
+		if (this.validator_.key.length) {
+			this.validator_.path = this.validator_.root + '.' + this.validator_.key;
+			var value = this.valueAt_(this.validator_.root)[this.validator_.arrayIndex]; // fetch the object at this array index
+
+			// index into the proper object (like: 'name.firstname' or 'lines.2.sku')
+			value = getPath(value, this.validator_.key);
+		}
+		else {
+			var value = this.valueAt_(this.validator_.root)[this.validator_.arrayIndex];
+			this.validator_.path = this.validator_.root;
+		}
+
+		return value;
+	},
+
+
+	/**
+	 * Check that the root variable was registered for error checking
+	 */
+	checkRootWasRegistered()
+	{
+		if (! (this.validator_.root in this.validator_.vars)) {
+			throw "'" + this.validator_.root + "' was never registered for error checking";
+			return false;
+		}
+
+		return true;
+	},
+
+
+	/**
+	 * Set the error message according to the rule that the variable has broken
+	 *
+	 * @param {string} rule 
+	 * @param {array} args  The arguments given to the rule, used to fill in placeholders
+	 */
+	setError_(rule, args = [])
+	{
+		this.putError_(this.errorMessage_(rule, args));
+	},
+
+
+	/**
+	 * Store an error message (or '' for none) in this.errors for the variable being checked
+	 *
+	 * @param {string} error
+	 */
+	putError_(error)
+	{
+		var root = this.validator_.root;
+		var wildcards = this.validator_.vars[root].keys.join('|').indexOf('*') !== -1;
+
+		if (this.validator_.collection) {
+			this.set_('errors.' + this.fieldKey_(), error); // store with the array itself
+		}
+		else if (this.validator_.arrayIndex === null && ! wildcards) {
+			this.set_('errors.' + this.validator_.path, error); // store
+		}
+		else if (this.validator_.arrayIndex === null) {
+			// make sure any arrays nested within the variable are the right size first
+			this.validator_.temp = mergeErrors(this.errors[root], this.blankEntry_(root, this.valueAt_(root)));
+			buildPath(this.validator_.temp, this.validator_.key, error); // move error message to correct key
+
+			this.set_('errors.' + root, this.validator_.temp);
+		}
+		else {
+			// create a copy shaped like the item, in case arrays within it have changed size
+			this.validator_.temp = mergeErrors(this.errors[root][this.validator_.arrayIndex], this.blankEntry_(root, this.valueAt_(root)[this.validator_.arrayIndex]));
+			this.validator_.temp = this.validator_.key.length ? buildPath(this.validator_.temp, this.validator_.key, error) : error; // move error message to correct key
+
+			this.set_('errors.' + root + '.' + this.validator_.arrayIndex, this.validator_.temp); // merge placeholder with this.errors
+			this.errors = JSON.parse(JSON.stringify(this.errors)); // use this technique for reactivity
+		}
+	},
+
+
+	/**
+	 * The message to show when the variable being checked fails a rule
+	 *
+	 * @param {string} rule
+	 * @param {array} args
+	 * @return {string}
+	 */
+	errorMessage_(rule, args)
+	{
+		var message = getPath(this, 'validator_.errMsg.' + this.registeredPath_() + '.' + rule); // fetch error message
+		if (message === null || typeof message === 'undefined') {
+			message = this.defaultMessage_(rule);
+		}
+
+		return this.formatMessage_(message, rule, args);
+	},
+
+
+	/**
+	 * The path the variable being checked was registered under, with its wildcards put back (like: orders.lines.*.sku)
+	 *
+	 * @return {string}
+	 */
+	registeredPath_()
+	{
+		var keys = this.validator_.vars[this.validator_.root].keys;
+		var key = this.validator_.key;
+
+		if (keys.indexOf(key) !== -1) {
+			return this.validator_.path;
+		}
+
+		for (var x = 0; x < keys.length; x++) {
+			if (keys[x].split('.').length === key.split('.').length && fieldMatches(keys[x], key)) {
+				return keys[x].length ? this.validator_.root + '.' + keys[x] : this.validator_.root;
+			}
+		}
+
+		return this.validator_.path;
+	},
+
+
+	/**
+	 * Look up the message for a rule in the current locale, falling back to English
+	 *
+	 * @param {string} rule
+	 * @return {string}
+	 */
+	defaultMessage_(rule)
+	{
+		var tables = [locales[this.validator_.locale] || {}, locales.en];
+
+		for (var x = 0; x < tables.length; x++) {
+			var message = tables[x][rule];
+
+			if (message !== null && typeof message === 'object') {
+				// this rule reads differently depending on the type of the value
+				message = message[this.valueType_()];
+			}
+
+			if (typeof message === 'string') {
+				return message;
+			}
+		}
+
+		return tables[0].default || locales.en.default;
+	},
+
+
+	/**
+	 * Which variant of a type-specific message applies to the value being checked
+	 *
+	 * @return {string} numeric, array or string
+	 */
+	valueType_()
+	{
+		if (isFile(this.validator_.value)) {
+			return 'file';
+		}
+
+		if (typeof this.validator_.value === 'number' || (this.isNumericField_() && isNumeric(this.validator_.value))) {
+			return 'numeric';
+		}
+
+		if (this.validator_.value !== null && typeof this.validator_.value === 'object') {
+			return 'array';
+		}
+
+		return 'string';
+	},
+
+
+	/**
+	 * Switch the default error messages of this component to another locale
+	 *
+	 * @param {string} locale  A locale added with Validator.addLocale() (or 'en')
+	 * @return {void}
+	 */
+	setLocale(locale)
+	{
+		if (! (locale in locales)) {
+			throw "The locale '" + locale + "' was never added";
+		}
+
+		this.validator_.locale = locale;
+		this.rerenderErrors_();
+	},
+
+
+	/**
+	 * Set the messages of every field that is currently failing a rule again
+	 *
+	 * @return {void}
+	 */
+	rerenderErrors_()
+	{
+		var state = this.saveState_();
+		var failed = this.validator_.failed;
+
+		for (var field in failed) {
+			this.restoreState_(failed[field]);
+			this.failRules_(failed[field].failures, failed[field].options);
+		}
+
+		this.restoreState_(state);
+	},
+
+
+	/**
+	 * Fill in the placeholders (like: ':attribute' or ':min') of an error message
+	 *
+	 * @param {string} message
+	 * @param {string} rule
+	 * @param {array} args
+	 * @return {string}
+	 */
+	formatMessage_(message, rule, args)
+	{
+		if (typeof message !== 'string' || message.indexOf(':') === -1) {
+			return message;
+		}
+
+		var replacements = this.messageReplacements_(rule, args);
+
+		return message.replace(/:([a-zA-Z_]+)/g, function(placeholder, name) {
+			return name in replacements ? replacements[name] : placeholder;
+		});
+	},
+
+
+	/**
+	 * The values that placeholders in an error message for a given rule are replaced with
+	 *
+	 * @param {string} rule
+	 * @param {array} args
+	 * @return {object}
+	 */
+	messageReplacements_(rule, args)
+	{
+		var replacements = {
+			attribute: this.attributeName_(this.validator_.path),
+		};
+
+		if (! Array.isArray(args) || ! args.length) {
+			return replacements;
+		}
+
+		// the first argument goes by the name of the rule (like: ':min' for 'min:8')
+		replacements[rule] = args[0];
+		replacements.values = args.join(', ');
+
+		if (rule === 'same' || rule === 'different' || rule === 'required_if' || rule === 'required_unless') {
+			// the first argument is another field
+			replacements.other = this.attributeName_(args[0]);
+			replacements.values = args.slice(1).join(', ');
+			replacements.value = args.slice(1).join(', ');
+		}
+		else if (rule === 'required_with' || rule === 'required_without') {
+			var names = [];
+			for (var x = 0; x < args.length; x++) {
+				names.push(this.attributeName_(args[x]));
+			}
+			replacements.values = names.join(', ');
+		}
+		else if (rule === 'between' || rule === 'digits_between') {
+			replacements.min = args[0];
+			replacements.max = args[1];
+		}
+		else if (rule === 'decimal') {
+			replacements.decimal = args.join('-');
+		}
+		else if (rule === 'gt' || rule === 'gte' || rule === 'lt' || rule === 'lte') {
+			replacements.other = this.attributeName_(String(args[0]));
+			replacements.value = this.sizeOf_(this.comparedValue_(args[0]));
+		}
+		else if (rule === 'date_format') {
+			replacements.format = args[0];
+		}
+		else if (rule === 'date_between') {
+			replacements.start = this.dateName_(args[0]);
+			replacements.end = this.dateName_(args[1]);
+		}
+		else if (dateRules.indexOf(rule) !== -1) {
+			replacements.date = this.dateName_(args[0]);
+		}
+
+		return replacements;
+	},
+
+
+	/**
+	 * An argument of a date rule as it should read in an error message
+	 *
+	 * @param {mixed} arg  (like: 2024-03-01, tomorrow or starts_at)
+	 * @return {string}
+	 */
+	dateName_(arg)
+	{
+		if (isDateLiteral(arg, this.fieldDateFormat_())) {
+			return String(arg);
+		}
+
+		return this.attributeName_(arg);
+	},
+
+
+	/**
+	 * The name of a variable as it should read in an error message
+	 *
+	 * @param {string} path  (like: users.email, users.*.email or users.1.email)
+	 * @return {string}
+	 */
+	attributeName_(path)
+	{
+		path = this.normalizePath_(path);
+
+		if (path in this.validator_.attributes) {
+			return this.validator_.attributes[path];
+		}
+
+		// fall back to the last key with underscores as spaces (like: 'email address')
+		return path.split('.').pop().split('_').join(' ');
+	},
+
+
+	/**
+	 * Give variables a display name to use for ':attribute' and ':other' in error messages
+	 *
+	 * @param {object} names  (like: { 'users.*.email': 'email address' })
+	 * @return {void}
+	 */
+	setAttributeNames(names)
+	{
+		var attributes = {};
+		for (var path in this.validator_.attributes) {
+			attributes[path] = this.validator_.attributes[path];
+		}
+
+		for (var path in names) {
+			attributes[this.normalizePath_(path)] = names[path];
+		}
+
+		this.validator_.attributes = attributes;
+	},
+
+
+	/**
+	 * Strip wildcards and array indices out of a path so it matches the saved paths
+	 *
+	 * @param {string} path  (like: users.*.email or users.1.email)
+	 * @return {string} (like: users.email)
+	 */
+	normalizePath_(path)
+	{
+		var keys = String(path).split('.');
+		var normalized = [];
+
+		for (var x = 0; x < keys.length; x++) {
+			if (keys[x] !== '*' && ! /^[0-9]+$/.test(keys[x])) {
+				normalized.push(keys[x]);
+			}
+		}
+
+		return normalized.join('.');
+	},
+
+
+	/**
+	 * Clear the errors for the variable
+	 */
+	clearError_()
+	{
+		delete this.validator_.failed[this.fieldKey_()];
+		this.hideError_();
+	},
+
+
+	/**
+	 * Blank out the error for the variable without forgetting what it failed
+	 */
+	hideError_()
+	{
+		this.setBagEntry_(this.fieldKey_(), null);
+		this.putError_('');
+	},
+
+
+	/**
+	 * Get rid of any previously existing error checking logic
+	 */
+	resetErrorChecking()
+	{
+		this.validator_.vars = {};
+		this.errors = {};
+		this.errorBag = {};
+		this.fieldFlags = {};
+		this.validator_.errMsg = {};
+		this.validator_.initial = {};
+		this.validator_.pending = {};
+		this.validator_.checkIds = {};
+		this.validator_.latest = {};
+		this.validator_.failed = {};
+		this.validator_.inlineRules = {};
+		this.validator_.conditions = {};
+		this.validator_.lazy = {};
+		this.validator_.items = {};
+		this.validator_.watchedItems = {};
+
+		// don't let debounced checks run against the new registrations
+		this.cancelChecks_();
+
+		for (var key in this.validator_.watching) {
+			// stop watching all registered variables
+			this.validator_.watching[key].call();
+		}
+
+		this.validator_.watching = {};
+	},
+
+
+	/**
+	 * Clear out (but maintain the structure of) this.errors
+	 */
+	clearErrors(key = null)
+	{
+		for (var key in this.errors) {
+			if (typeof this.errors[key] === 'string') {
+				this.errors[key] = '';
+			}
+
+		}
+	},
+
+
+	/**
+	 * The given method could not give a valid answer about the error status
+	 *
+	 * @param {string} method
+	 */
+	uncertainInput(method)
+	{
+		throw "Having a hard time resolving '" + this.validator_.path + "' for rule '" + method + "'";
+
+		return false;
+	},
+
+
+	/**
+	 * The variable must have something inside it
+	 */
+	required_()
+	{
+		if (typeof this.validator_.value === 'undefined') {
+			return false;
+		}
+
+		if (typeof this.validator_.value === 'number') {
+			return true;
+		} 
+
+		if (typeof this.validator_.value === 'boolean') {
+			return true;
+		} 
+
+		if (typeof this.validator_.value === 'string') {
+			return this.validator_.value.length > 0;
+		}
+
+		if (this.validator_.value === null) {
+			return false;
+		}
+
+		if (isList(this.validator_.value)) {
+			return this.validator_.value.length > 0;
+		}
+
+		if (typeof this.validator_.value === 'object') {
+			// plain objects need at least one key, anything else (like: a Date) is something
+			return Object.getPrototypeOf(this.validator_.value) !== Object.prototype || Object.keys(this.validator_.value).length > 0;
+		}
+
+		return this.uncertainInput('required');
+	},
+
+	/**
+	 * The variable must be greater than a given value in size or length
+	 */
+	max_(args)
+	{
+		var size = this.sizeOf_(this.validator_.value);
+
+		if (size === null) {
+			return this.uncertainInput('max');
+		}
+
+		return size <= args[0];
+	},
+
+
+	/**
+	 * The variable must be less than a given value in size or length
+	 */
+	min_(args)
+	{
+		var size = this.sizeOf_(this.validator_.value);
+
+		if (size === null) {
+			return this.uncertainInput('min');
+		}
+
+		return size >= args[0];
+	},
+
+
+	/**
+	 * The field must equal one of the given arguments
+	 */
+	in_(args)
+	{
+		if (args.indexOf(this.validator_.value) === -1) {
+			return false;
+		}
+
+		return true;
+	},
+
+
+	/**
+	 * The variable must be of a given size
+	 */
+	size_(args)
+	{
+		var size = this.sizeOf_(this.validator_.value);
+
+		if (size === null) {
+			return this.uncertainInput('size');
+		}
+
+		return size === Number(args[0]);
+	},
+
+
+	/**
+	 * The variable must equal a given argument
+	 */
+	equals_(args)
+	{
+		return this.validator_.value == args[0];
+	},
+
+
+	/**
+	 * The variable must be a boolean
+	 */
+	boolean_()
+	{
+		return (typeof this.validator_.value === 'boolean');
+	},
+
+
+	/**
+	 * The variable must be a string
+	 */
+	string_()
+	{
+		return (typeof this.validator_.value === 'string');
+	},
+
+
+	/**
+	 * The variable must be a number
+	 */
+	number_()
+	{
+		return (typeof this.validator_.value === 'number');
+	},
+
+
+	/**
+	 * The variable must be a number or a string holding one
+	 */
+	numeric_()
+	{
+		if (this.validator_.value === '') {
+			// let 'required' rule take care of any empty variables
+			return true;
+		}
+
+		return isNumeric(this.validator_.value);
+	},
+
+
+	/**
+	 * The variable must be a whole number or a string holding one
+	 */
+	integer_()
+	{
+		if (this.validator_.value === '') {
+			return true;
+		}
+
+		if (typeof this.validator_.value === 'number') {
+			return Number.isInteger(this.validator_.value);
+		}
+
+		return typeof this.validator_.value === 'string' && /^\s*[+-]?\d+\s*$/.test(this.validator_.value);
+	},
+
+
+	/**
+	 * The variable must be between two given values in size or length, inclusive
+	 */
+	between_(args)
+	{
+		var size = this.sizeOf_(this.validator_.value);
+
+		if (size === null) {
+			return this.uncertainInput('between');
+		}
+
+		return size >= Number(args[0]) && size <= Number(args[1]);
+	},
+
+
+	/**
+	 * The variable must be made up of a given number of digits
+	 */
+	digits_(args)
+	{
+		if (this.validator_.value === '') {
+			return true;
+		}
+
+		var digits = String(this.validator_.value);
+
+		return /^\d+$/.test(digits) && digits.length === Number(args[0]);
+	},
+
+
+	/**
+	 * The variable must be made up of between two given numbers of digits, inclusive
+	 */
+	digitsBetween_(args)
+	{
+		if (this.validator_.value === '') {
+			return true;
+		}
+
+		var digits = String(this.validator_.value);
+
+		return /^\d+$/.test(digits) && digits.length >= Number(args[0]) && digits.length <= Number(args[1]);
+	},
+
+
+	/**
+	 * The variable must be a number with a given number of decimal places, or between two given numbers of them
+	 */
+	decimal_(args)
+	{
+		if (this.validator_.value === '') {
+			return true;
+		}
+
+		if (! isNumeric(this.validator_.value)) {
+			return false;
+		}
+
+		var number = String(this.validator_.value).trim();
+		var places = number.indexOf('.') === -1 ? 0 : number.split('.')[1].length;
+		var max = args.length > 1 ? Number(args[1]) : Number(args[0]);
+
+		return places >= Number(args[0]) && places <= max;
+	},
+
+
+	/**
+	 * The variable must be a multiple of a given number
+	 */
+	multipleOf_(args)
+	{
+		if (this.validator_.value === '') {
+			return true;
+		}
+
+		if (! isNumeric(this.validator_.value) || ! isNumeric(args[0]) || Number(args[0]) === 0) {
+			return false;
+		}
+
+		// leave room for floating point error (like: 0.3 / 0.1)
+		var times = Number(this.validator_.value) / Number(args[0]);
+
+		return Math.abs(times - Math.round(times)) < 1e-9;
+	},
+
+
+	/**
+	 * The variable must be greater than another field, or a number, in size or length
+	 */
+	gt_(args)
+	{
+		return this.compareSizes_(args[0], function(size, other) { return size > other; });
+	},
+
+
+	/**
+	 * The variable must be greater than or equal to another field, or a number, in size or length
+	 */
+	gte_(args)
+	{
+		return this.compareSizes_(args[0], function(size, other) { return size >= other; });
+	},
+
+
+	/**
+	 * The variable must be less than another field, or a number, in size or length
+	 */
+	lt_(args)
+	{
+		return this.compareSizes_(args[0], function(size, other) { return size < other; });
+	},
+
+
+	/**
+	 * The variable must be less than or equal to another field, or a number, in size or length
+	 */
+	lte_(args)
+	{
+		return this.compareSizes_(args[0], function(size, other) { return size <= other; });
+	},
+
+
+	/**
+	 * The variable must be an array/object
+	 */
+	array_()
+	{
+		return (typeof this.validator_.value === 'object' && this.validator_.value !== null && ! isFile(this.validator_.value));
+	},
+
+
+	/**
+	 * The variable must match a given regular expression
+	 */
+	regex_(expression)
+	{
+		if (! this.string_()) {
+			// convert into string
+			this.validator_.value = this.validator_.value.toString();
+		}
+		else if (! this.validator_.value.length) {
+			// let 'required' rule take care of any empty variables
+			return true;
+		}
+
+		if (! (expression instanceof RegExp)) {
+			// the expression isn't a valid regular expression yet
+			
+			if (typeof expression === 'object') {
+				// expression is being passed inside an array of arguments
+				expression = expression[0];
+			}
+
+			if (expression[0] === '/') {
+				// if the developer added their own forward-slashes at front and end, remove
+				expression = expression.substring(1, expression.length - 1);
+			}
+
+			// create a valid regular expression out of the string with the 'global' flag
+			expression = new RegExp(expression);
+		}
+
+		if (this.validator_.value.match(expression)) {
+			return true;
+		}
+		else {
+			return false;
+		}
+	},
+
+
+	/**
+	 * The variable must be a valid email address
+	 */
+	email_(args)
+	{
+		var modes = Array.isArray(args) && args.length ? args : ['strict'];
+
+		for (var x = 0; x < modes.length; x++) {
+			if (emailModes.indexOf(modes[x]) === -1) {
+				throw "'" + modes[x] + "' is not an email mode, use " + emailModes.join(', ');
+			}
+		}
+
+		return this.checkString_(function(value) {
+			return modes.every(function(mode) { return isEmail(value, mode); });
+		});
+	},
+
+
+	/**
+	 * The variable must be a string with only letters and numbers, from any alphabet unless given 'ascii'
+	 */
+	alphaNum_(args)
+	{
+		var pattern = asciiOnly(args) ? /^[a-zA-Z0-9]+$/ : alphaNumPattern;
+
+		return this.checkString_(function(value) { return pattern.test(value); });
+	},
+
+
+	/**
+	 * The variable must be a string with only letters, numbers, dashes and underscores, from any alphabet unless given 'ascii'
+	 */
+	alphaDash_(args)
+	{
+		var pattern = asciiOnly(args) ? /^[a-zA-Z0-9_-]+$/ : alphaDashPattern;
+
+		return this.checkString_(function(value) { return pattern.test(value); });
+	},
+
+
+	/**
+	 * The variable must be a string with only letters, from any alphabet unless given 'ascii'
+	 */
+	alpha_(args)
+	{
+		var pattern = asciiOnly(args) ? /^[a-zA-Z]+$/ : alphaPattern;
+
+		return this.checkString_(function(value) { return pattern.test(value); });
+	},
+
+
+	/**
+	 * The variable must be a string with only ASCII characters
+	 */
+	ascii_()
+	{
+		return this.checkString_(function(value) { return /^[\x00-\x7F]+$/.test(value); });
+	},
+
+
+	/**
+	 * The variable must not have any uppercase letters
+	 */
+	lowercase_()
+	{
+		return this.checkString_(function(value) { return value === value.toLowerCase(); });
+	},
+
+
+	/**
+	 * The variable must not have any lowercase letters
+	 */
+	uppercase_()
+	{
+		return this.checkString_(function(value) { return value === value.toUpperCase(); });
+	},
+
+
+	/**
+	 * The variable must not match a given regular expression
+	 */
+	notRegex_(expression)
+	{
+		if (this.validator_.value === '') {
+			return true;
+		}
+
+		return ! this.regex_(expression);
+	},
+
+
+	/**
+	 * The variable must start with one of the given arguments
+	 */
+	startsWith_(args)
+	{
+		return this.checkString_(function(value) {
+			return args.some(function(arg) { return value.indexOf(String(arg)) === 0; });
+		});
+	},
+
+
+	/**
+	 * The variable must end with one of the given arguments
+	 */
+	endsWith_(args)
+	{
+		return this.checkString_(function(value) {
+			return args.some(function(arg) { return value.slice(-String(arg).length) === String(arg); });
+		});
+	},
+
+
+	/**
+	 * The variable must not start with any of the given arguments
+	 */
+	doesntStartWith_(args)
+	{
+		return this.validator_.value === '' || ! this.startsWith_(args);
+	},
+
+
+	/**
+	 * The variable must not end with any of the given arguments
+	 */
+	doesntEndWith_(args)
+	{
+		return this.validator_.value === '' || ! this.endsWith_(args);
+	},
+
+
+	/**
+	 * The variable must be a URL, with one of the given protocols if there are any
+	 */
+	url_(args)
+	{
+		return this.checkString_(function(value) {
+			var match = /^([a-z][a-z0-9+.-]*):\/\/(?:[^\s\/?#@]+@)?(\[[^\s\/?#\]]+\]|[^\s\/?#:@\[\]]+)(?::\d{1,5})?(?:[\/?#]\S*)?$/i.exec(value);
+
+			if (match === null) {
+				return false;
+			}
+
+			if (args.length && args.map(function(arg) { return String(arg).toLowerCase(); }).indexOf(match[1].toLowerCase()) === -1) {
+				return false;
+			}
+
+			if (match[2][0] === '[') {
+				return isIPv6(match[2].slice(1, -1));
+			}
+
+			// every label of the host name has letters (any alphabet), numbers or inner dashes
+			return match[2].split('.').every(function(label) {
+				return /^[a-z0-9\u00a1-\uffff]([a-z0-9\u00a1-\uffff-]*[a-z0-9\u00a1-\uffff])?$/i.test(label);
+			});
+		});
+	},
+
+
+	/**
+	 * The variable must be an IPv4 or IPv6 address
+	 */
+	ip_()
+	{
+		return this.checkString_(function(value) { return isIPv4(value) || isIPv6(value); });
+	},
+
+
+	/**
+	 * The variable must be an IPv4 address
+	 */
+	ipv4_()
+	{
+		return this.checkString_(isIPv4);
+	},
+
+
+	/**
+	 * The variable must be an IPv6 address
+	 */
+	ipv6_()
+	{
+		return this.checkString_(isIPv6);
+	},
+
+
+	/**
+	 * The variable must be a MAC address (like: 01:23:45:67:89:ab, 01-23-45-67-89-ab or 0123.4567.89ab)
+	 */
+	macAddress_()
+	{
+		return this.checkString_(function(value) {
+			return /^[0-9a-f]{2}([:-])([0-9a-f]{2}\1){4}[0-9a-f]{2}$/i.test(value) || /^([0-9a-f]{4}\.){2}[0-9a-f]{4}$/i.test(value);
+		});
+	},
+
+
+	/**
+	 * The variable must be a UUID
+	 */
+	uuid_()
+	{
+		return this.checkString_(function(value) {
+			return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+		});
+	},
+
+
+	/**
+	 * The variable must be a ULID
+	 */
+	ulid_()
+	{
+		return this.checkString_(function(value) {
+			return /^[0-7][0-9a-hjkmnp-tv-z]{25}$/i.test(value);
+		});
+	},
+
+
+	/**
+	 * The variable must be a string of valid JSON
+	 */
+	json_()
+	{
+		if (this.validator_.value === '') {
+			return true;
+		}
+
+		if (typeof this.validator_.value !== 'string') {
+			return false;
+		}
+
+		try {
+			JSON.parse(this.validator_.value);
+		}
+		catch (error) {
+			return false;
+		}
+
+		return true;
+	},
+
+
+	/**
+	 * The variable must be the same as another field
+	 */
+	same_(args)
+	{
+		return this.validator_.value === this.otherValue_(args[0]);
+	},
+
+
+	/**
+	 * The variable must be different than another field
+	 */
+	different_(args)
+	{
+		return this.validator_.value !== this.otherValue_(args[0]);
+	},
+
+
+	/**
+	 * The variable must be the same as a field of the same name ending in '_confirmation'
+	 */
+	confirmed_()
+	{
+		return this.validator_.value === this.otherValue_(this.confirmationPath_());
+	},
+
+
+	/**
+	 * The variable is required when another field equals one of the given values
+	 */
+	requiredIf_(args)
+	{
+		if (! this.otherFieldIn_(args)) {
+			return true;
+		}
+
+		return this.isFilled_(this.validator_.value);
+	},
+
+
+	/**
+	 * The variable is required unless another field equals one of the given values
+	 */
+	requiredUnless_(args)
+	{
+		if (this.otherFieldIn_(args)) {
+			return true;
+		}
+
+		return this.isFilled_(this.validator_.value);
+	},
+
+
+	/**
+	 * The variable is required when any of the other fields are filled
+	 */
+	requiredWith_(args)
+	{
+		for (var x = 0; x < args.length; x++) {
+			if (this.isFilled_(this.otherValue_(args[x]))) {
+				return this.isFilled_(this.validator_.value);
+			}
+		}
+
+		return true;
+	},
+
+
+	/**
+	 * The variable is required when any of the other fields are empty
+	 */
+	requiredWithout_(args)
+	{
+		for (var x = 0; x < args.length; x++) {
+			if (! this.isFilled_(this.otherValue_(args[x]))) {
+				return this.isFilled_(this.validator_.value);
+			}
+		}
+
+		return true;
+	},
+
+
+	/**
+	 * The array must not have any duplicate values, or items with duplicate values at a given key
+	 *
+	 * @param {array} args  (like: ['email'])
+	 */
+	distinct_(args)
+	{
+		var seen = {};
+		var items = this.arrayItems_();
+
+		for (var x = 0; x < items.length; x++) {
+			var value = Array.isArray(args) && args.length ? getPath(items[x], String(args[0])) : items[x];
+			if (! this.isFilled_(value)) {
+				// leave missing values to the required rule
+				continue;
+			}
+
+			var serialized = serialize(value);
+			if (serialized in seen) {
+				return false;
+			}
+
+			seen[serialized] = true;
+		}
+
+		return true;
+	},
+
+
+	/**
+	 * The array must have at least a given number of items
+	 */
+	arrayMin_(args)
+	{
+		return this.arrayItems_().length >= Number(args[0]);
+	},
+
+
+	/**
+	 * The array must have at most a given number of items
+	 */
+	arrayMax_(args)
+	{
+		return this.arrayItems_().length <= Number(args[0]);
+	},
+
+
+	/**
+	 * The array must have exactly a given number of items
+	 */
+	arraySize_(args)
+	{
+		return this.arrayItems_().length === Number(args[0]);
+	},
+
+
+	/**
+	 * The items of the array being checked, or the values of an object map
+	 *
+	 * @return {array}
+	 */
+	arrayItems_()
+	{
+		var value = this.validator_.value;
+
+		if (value === null || typeof value !== 'object') {
+			return [];
+		}
+
+		return keysOf(value).map(function(key) { return value[key]; });
+	},
+
+
+	/**
+	 * The variable must be a real date, either a Date or an ISO 8601 string
+	 */
+	date_()
+	{
+		if (this.validator_.value === '') {
+			// let 'required' rule take care of any empty variables
+			return true;
+		}
+
+		return parseDate(this.validator_.value) !== null;
+	},
+
+
+	/**
+	 * The variable must be a date written in a given format
+	 */
+	dateFormat_(args)
+	{
+		if (this.validator_.value === '') {
+			return true;
+		}
+
+		return typeof this.validator_.value === 'string' && parseDate(this.validator_.value, String(args[0])) !== null;
+	},
+
+
+	/**
+	 * The variable must be a File or Blob
+	 */
+	file_()
+	{
+		return this.checkFile_(function() { return true; });
+	},
+
+
+	/**
+	 * The variable must be an image file
+	 */
+	image_()
+	{
+		return this.checkFile_(function(file) { return imageTypes.indexOf(file.type) !== -1; });
+	},
+
+
+	/**
+	 * The variable must be a file with one of the given extensions, going by its name or else its MIME type
+	 */
+	mimes_(args)
+	{
+		var extensions = args.map(function(arg) { return String(arg).toLowerCase(); });
+
+		if (extensions.indexOf('jpg') !== -1 || extensions.indexOf('jpeg') !== -1) {
+			extensions.push('jpg', 'jpeg');
+		}
+
+		return this.checkFile_(function(file) {
+			var name = typeof file.name === 'string' ? file.name : '';
+			var extension = name.indexOf('.') === -1 ? null : name.split('.').pop().toLowerCase();
+
+			if (extension !== null) {
+				return extensions.indexOf(extension) !== -1;
+			}
+
+			// a Blob without a name (like: image/svg+xml is svg)
+			return extensions.indexOf(file.type.split('/').pop().split('+')[0]) !== -1;
+		});
+	},
+
+
+	/**
+	 * The variable must be a file of one of the given MIME types, which can end in a wildcard (like: image/*)
+	 */
+	mimetypes_(args)
+	{
+		return this.checkFile_(function(file) {
+			return args.some(function(type) {
+				type = String(type).toLowerCase();
+
+				if (type.slice(-2) === '/*') {
+					return file.type.toLowerCase().indexOf(type.slice(0, -1)) === 0;
+				}
+
+				return file.type.toLowerCase() === type;
+			});
+		});
+	},
+
+
+	/**
+	 * The variable must be a file no bigger than a given number of kilobytes
+	 */
+	maxKb_(args)
+	{
+		return this.checkFile_(function(file) { return file.size / 1024 <= Number(args[0]); });
+	},
+
+
+	/**
+	 * The variable must be a file no smaller than a given number of kilobytes
+	 */
+	minKb_(args)
+	{
+		return this.checkFile_(function(file) { return file.size / 1024 >= Number(args[0]); });
+	},
+
+
+	/**
+	 * The variable must be an image whose dimensions meet the given constraints, read asynchronously
+	 */
+	dimensions_(args)
+	{
+		var constraints = this.dimensionConstraints_(args);
+
+		return this.checkFile_(function(file) {
+			if (file.type.indexOf('image/') !== 0 || ! canReadImages()) {
+				// outside of a browser (like: validate() in Node), images can't be read so they can't pass
+				return false;
+			}
+
+			return imageSize(file).then(function(size) {
+				return size !== null && dimensionsFit(size, constraints);
+			});
+		});
+	},
+
+
+	/**
+	 * The variable must be a date before a given date, keyword or other field
+	 */
+	before_(args)
+	{
+		return this.compareDates_(args[0], function(value, date) { return value < date; });
+	},
+
+
+	/**
+	 * The variable must be a date after a given date, keyword or other field
+	 */
+	after_(args)
+	{
+		return this.compareDates_(args[0], function(value, date) { return value > date; });
+	},
+
+
+	/**
+	 * The variable must be a date no later than a given date, keyword or other field
+	 */
+	beforeOrEqual_(args)
+	{
+		return this.compareDates_(args[0], function(value, date) { return value <= date; });
+	},
+
+
+	/**
+	 * The variable must be a date no earlier than a given date, keyword or other field
+	 */
+	afterOrEqual_(args)
+	{
+		return this.compareDates_(args[0], function(value, date) { return value >= date; });
+	},
+
+
+	/**
+	 * The variable must be a date between two given dates, keywords or other fields, inclusive
+	 */
+	dateBetween_(args)
+	{
+		return this.afterOrEqual_([args[0]]) && this.beforeOrEqual_([args[1]]);
+	},
+};
+
+
+/**
+ * Error checking without Vue, variables are looked up off of the given data
+ *
+ * @param {object} data
+ */
+export function Engine(data)
+{
+	var state = createState();
+
+	this.errors = state.errors;
+	this.errorBag = state.errorBag;
+	this.fieldFlags = state.fieldFlags;
+	this.validator_ = state.validator_;
+	this.validator_.data = data;
+}
+
+for (var method in methods) {
+	Engine.prototype[method] = methods[method];
+}
+
+
+/**
+ * Read-only helpers over an error bag, much like Laravel's MessageBag
+ *
+ * Paths can use '*' for any single key (like: users.*.email) and match
+ * everything nested beneath them (like: users matching users.1.email)
+ *
+ * @param {object} entries  (like: { 'users.1.email': [{ rule, message }] })
+ */
+export function MessageBag(entries)
+{
+	this.entries = entries;
+}
+
+
+MessageBag.prototype =
+{
+	constructor: MessageBag,
+
+	/**
+	 * Whether or not there are errors on a path, or on anything at all
+	 *
+	 * @param {string | null} path
+	 * @return {boolean}
+	 */
+	has(path = null)
+	{
+		return this.get(path).length > 0;
+	},
+
+
+	/**
+	 * The first error message on a path, or on anything at all
+	 *
+	 * @param {string | null} path
+	 * @return {string} Empty if there are none
+	 */
+	first(path = null)
+	{
+		var messages = this.get(path);
+
+		return messages.length ? messages[0] : '';
+	},
+
+
+	/**
+	 * Every error message on a path, or on anything at all
+	 *
+	 * @param {string | null} path
+	 * @return {array}
+	 */
+	get(path = null)
+	{
+		var messages = [];
+
+		for (var field in this.entries) {
+			if (path !== null && ! fieldMatches(path, field)) {
+				continue;
+			}
+
+			for (var x = 0; x < this.entries[field].length; x++) {
+				messages.push(this.entries[field][x].message);
+			}
+		}
+
+		return messages;
+	},
+
+
+	/**
+	 * Every error message
+	 *
+	 * @return {array}
+	 */
+	all()
+	{
+		return this.get();
+	},
+
+
+	/**
+	 * Whether or not there are any errors at all
+	 *
+	 * @return {boolean}
+	 */
+	any()
+	{
+		return this.has();
+	},
+
+
+	/**
+	 * How many error messages there are
+	 *
+	 * @return {int}
+	 */
+	count()
+	{
+		return this.get().length;
+	},
+};
+
+
+/**
+ * Build an engine with rules registered against a payload, without watching it
+ *
+ * @param {object} data
+ * @param {object} rules  Keyed by path
+ * @param {object} messages  Keyed by path
+ * @return {Engine}
+ */
+function engineFor(data, rules, messages)
+{
+	var engine = new Engine(data);
+
+	for (var variable in rules) {
+		engine.registerErrorChecking(variable, rules[variable], variable in messages ? messages[variable] : [], false);
+	}
+
+	return engine;
+}
+
+
+/**
+ * Run rules against a payload in one go
+ *
+ * Asynchronous rules (like: dimensions or a custom rule returning a Promise) can't be waited for here, use validateAsync() for those
+ *
+ * @param {object} data  (like: { user: { email: 'dan@' } })
+ * @param {object} rules  Keyed by path (like: { 'user.email': 'required|email' })
+ * @param {object} messages  Keyed by path, in any form registerErrorChecking() takes
+ * @return {object} Errors in the same shape as the mixin's this.errors
+ */
+export function validate(data, rules, messages = {})
+{
+	var engine = engineFor(data, rules, messages);
+
+	engine.errorCheck();
+
+	if (engine.isPending()) {
+		throw "Some rules are asynchronous, use validateAsync() to wait for them";
+	}
+
+	return engine.errors;
+}
+
+
+/**
+ * Run rules against a payload in one go, waiting for any asynchronous rules
+ *
+ * @param {object} data  (like: { user: { avatar: file } })
+ * @param {object} rules  Keyed by path (like: { 'user.avatar': 'image|dimensions:min_width=100' })
+ * @param {object} messages  Keyed by path, in any form registerErrorChecking() takes
+ * @return {Promise} Resolves with errors in the same shape as the mixin's this.errors
+ */
+export function validateAsync(data, rules, messages = {})
+{
+	var engine = engineFor(data, rules, messages);
+
+	return engine.errorCheckAsync().then(function() {
+		return engine.errors;
+	});
+}
+
+
+/**
+ * Only apply some rules while a predicate holds, for use in a list of rules
+ *
+ * @param {function | boolean} predicate  Called with (value, data) and bound to the component, data being the component or the Engine's data
+ * @param {string | array} rules  Anything registerErrorChecking() takes as rules (like: 'required|min:8')
+ * @return {object}
+ */
+export function when(predicate, rules)
+{
+	if (typeof predicate !== 'function' && typeof predicate !== 'boolean') {
+		throw "The first argument of when() must be a function or a boolean";
+	}
+
+	return { when: predicate, rules: rules };
+}
+
+
+/**
+ * Add a custom rule that every component and engine can use
+ *
+ * @param {string} name  The name to use in rule strings (like: 'postal_code')
+ * @param {function} fn  Called with (value, args) and bound to the component, returns whether or not the value passes
+ * @param {string} defaultMessage  Error message to use when none are given during registration
+ * @return {void}
+ */
+export function extend(name, fn, defaultMessage = null)
+{
+	checkCustomRule(name, fn);
+
+	customRules[name] = wrapRule(fn);
+
+	if (defaultMessage !== null) {
+		customMessages[name] = defaultMessage;
+	}
+	else {
+		delete customMessages[name];
+	}
+}
+
+
+/**
+ * Add (or add to) a set of default error messages
+ *
+ * @param {string} locale  (like: 'fr')
+ * @param {object} messages  Keyed by rule, same shape as the 'en' messages
+ * @return {void}
+ */
+export function addLocale(locale, messages)
+{
+	if (typeof locales[locale] === 'undefined') {
+		locales[locale] = {};
+	}
+
+	for (var rule in messages) {
+		locales[locale][rule] = messages[rule];
+	}
+}
+
+
+/**
+ * Change the locale that new components and engines start out with
+ *
+ * @param {string} locale
+ * @return {void}
+ */
+export function useLocale(locale)
+{
+	if (! (locale in locales)) {
+		throw "The locale '" + locale + "' was never added";
+	}
+
+	activeLocale = locale;
+}
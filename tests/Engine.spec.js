@@ -0,0 +1,178 @@
+import { Engine, MessageBag, validate, validateAsync, extend, when } from '../src/Engine.js'
+import Validator, { validate as validateFromMixin, validateAsync as validateAsyncFromMixin } from '../src/Validator.js'
+
+describe("Engine", function() {
+
+    it('validates a payload without Vue', function () {
+      var data = {
+        name: '',
+        location: { city: { zip: '984' } },
+        users: [
+          { email: 'bob@example.com' },
+          { email: 'wendy@' },
+        ],
+      };
+
+      var errors = validate(data, {
+        'name': 'required',
+        'location.city.zip': 'required|size:5',
+        'users.*.email': 'required|email',
+      }, {
+        'name': 'Enter a name',
+        'location.city.zip': ['Enter a zip', 'Invalid zip'],
+        'users.*.email': { email: 'Invalid email' },
+      });
+
+      // same shape as this.errors in a component
+      expect(errors).toEqual({
+        name: 'Enter a name',
+        location: { city: { zip: 'Invalid zip' } },
+        users: [
+          { email: '' },
+          { email: 'Invalid email' },
+        ],
+      });
+    });
+
+
+    it('uses the default messages when none are given', function () {
+      var errors = validate({ age: 12 }, { age: 'min:18' });
+
+      expect(errors.age).toEqual('The age must be at least 18.');
+    });
+
+
+    it('uses rules added with extend()', function () {
+      // extend() is global, so pick a name no other spec uses
+      extend('engine_spec_even', function (value) { return value % 2 === 0; }, 'The :attribute must be even');
+
+      expect(validate({ count: 3 }, { count: 'engine_spec_even' }).count).toEqual('The count must be even');
+      expect(validate({ count: 4 }, { count: 'engine_spec_even' }).count).toEqual('');
+    });
+
+
+    it('can be kept around to check the same data again', function () {
+      var data = { password: 'secret', password_confirmation: 'secrets' };
+      var engine = new Engine(data);
+
+      engine.registerErrorChecking('password', 'confirmed', 'Passwords must match');
+
+      expect(engine.errorCheck()).toEqual(1);
+      expect(engine.errors.password).toEqual('Passwords must match');
+
+      data.password_confirmation = 'secret';
+      expect(engine.errorCheck()).toEqual(0);
+      expect(engine.errors.password).toEqual('');
+    });
+
+
+    it('registers schemas and wildcards without watching anything', function () {
+      var data = { invite: true, users: [{ email: '' }] };
+      var engine = new Engine(data);
+
+      expect(function () { engine.registerSchema(); }).toThrow();
+
+      engine.registerSchema({ 'users.*.email': 'required_if:invite,true' });
+
+      expect(engine.validator_.watching).toEqual({});
+      expect(engine.errorCheck()).toEqual(1);
+      expect(engine.errors.users[0].email).toEqual('The email field is required when invite is true.');
+    });
+
+
+    it('queries an error bag with has, first, get, all, any and count', function () {
+      var bag = new MessageBag({
+        'name': [{ rule: 'required', message: 'Enter a name' }],
+        'users.0.email': [{ rule: 'email', message: 'Invalid email' }],
+        'users.2.email': [
+          { rule: 'min', message: 'Too short' },
+          { rule: 'email', message: 'Still invalid' },
+        ],
+        'users.2.name': [{ rule: 'required', message: 'Enter their name' }],
+      });
+
+      expect(bag.any()).toBeTruthy();
+      expect(bag.count()).toEqual(5);
+      expect(bag.all()).toEqual(['Enter a name', 'Invalid email', 'Too short', 'Still invalid', 'Enter their name']);
+
+      expect(bag.has('name')).toBeTruthy();
+      expect(bag.has('email')).toBeFalsy();
+      expect(bag.has('users.*.email')).toBeTruthy();
+      expect(bag.has('users.1.email')).toBeFalsy();
+      expect(bag.has('users.1')).toBeFalsy();
+
+      // a path matches everything nested beneath it
+      expect(bag.get('users.2')).toEqual(['Too short', 'Still invalid', 'Enter their name']);
+      expect(bag.get('users.*.email')).toEqual(['Invalid email', 'Too short', 'Still invalid']);
+
+      expect(bag.first()).toEqual('Enter a name');
+      expect(bag.first('users.*.email')).toEqual('Invalid email');
+      expect(bag.first('users.1')).toEqual('');
+
+      var empty = new MessageBag({});
+      expect(empty.any()).toBeFalsy();
+      expect(empty.count()).toEqual(0);
+      expect(empty.first()).toEqual('');
+    });
+
+
+    it('builds a message bag from the errors found by an engine', function () {
+      var engine = new Engine({ users: [ { email: 'bob@' }, { email: 'wendy@example.com' } ] });
+
+      engine.registerErrorChecking('users.*.email', 'email', 'Invalid email');
+      engine.errorCheck();
+
+      expect(engine.messageBag().has('users.*.email')).toBeTruthy();
+      expect(engine.messageBag().get('users.0.email')).toEqual(['Invalid email']);
+      expect(engine.messageBag().has('users.1.email')).toBeFalsy();
+    });
+
+
+    it('applies conditional rules against the data it was given', function () {
+      var errors = validate({ isBusiness: true, vat: null, nickname: null }, {
+        vat: ['nullable', when(function (value, data) { return data.isBusiness; }, 'required')],
+        nickname: 'nullable|min:3',
+        website: 'sometimes|required',
+      }, { vat: 'Enter your VAT number' });
+
+      expect(errors).toEqual({ vat: 'Enter your VAT number', nickname: '', website: '' });
+    });
+
+
+    it('waits for asynchronous rules with validateAsync()', function (done) {
+      extend('engine_spec_odd', function (value) { return Promise.resolve(value % 2 === 1); }, 'The :attribute must be odd');
+
+      expect(function () { validate({ count: 4 }, { count: 'engine_spec_odd' }); }).toThrow();
+
+      validateAsync({ count: 4, total: 3 }, { count: 'required|engine_spec_odd', total: 'engine_spec_odd' }).then(function (errors) {
+        expect(errors).toEqual({ count: 'The count must be odd', total: '' });
+        done();
+      });
+    });
+
+
+    it('fails the dimensions rule when images can\'t be read, rather than waiting on them', function () {
+      var createImageBitmap = window.createImageBitmap;
+      var Image = window.Image;
+      window.createImageBitmap = undefined;
+      window.Image = undefined;
+
+      var errors = validate({ avatar: new File(['a'], 'a.png', { type: 'image/png' }), banner: null }, {
+        avatar: 'dimensions:min_width=1',
+        banner: 'dimensions:min_width=1',
+      });
+
+      window.createImageBitmap = createImageBitmap;
+      window.Image = Image;
+
+      expect(errors).toEqual({ avatar: 'The avatar has invalid image dimensions.', banner: '' });
+    });
+
+
+    it('is exported alongside the mixin', function () {
+      expect(validateFromMixin).toBe(validate);
+      expect(validateAsyncFromMixin).toBe(validateAsync);
+      expect(typeof Validator.extend).toEqual('function');
+    });
+
+});